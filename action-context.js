@@ -0,0 +1,163 @@
+/// <reference path="../types/melvor.d.ts" />
+// mediaRef prefix for each kind of combat area, with the game registry
+// holding it
+const AREA_REGISTRIES = Object.freeze([
+	['dungeon', 'dungeons'],
+	['stronghold', 'strongholds'],
+	['depth', 'abyssDepths'],
+	['slayerArea', 'slayerAreas'],
+	['area', 'combatAreas'],
+]);
+
+// Skill properties holding the recipe being worked on: the artisan skills'
+// activeRecipe, Fishing's activeFish, Woodcutting's activeTrees (a Set), ...
+// The first one a skill has is used.
+const RECIPE_PROPERTIES = Object.freeze([
+	'activeRecipe',
+	'activeFish',
+	'activeTrees',
+	'activeRock',
+	'activeConstellation',
+	'activeSpell',
+	'currentNPC',
+]);
+
+/**
+ * What the player was doing when an event happened, stamped on every
+ * captured notification:
+ *   action  - mediaRef of the running skill or combat area, or an origin
+ *             such as 'shop' for changes made outside the active action
+ *   target  - mediaRef of the recipe ('mastery:...') or the monster fought
+ *   mode    - game mode id, e.g. "melvorD:Standard"
+ *   offline - true for events during offline catch-up
+ * Fields that do not apply are omitted.
+ */
+export class ActionContext {
+	constructor() {
+		// Origin reported instead of the active action while set
+		this.origin = null;
+		this.offline = false;
+		this.offlineCallback = null;
+	}
+	/**
+	 * Register callback for offline catch-up starting (true) and
+	 * finishing (false)
+	 */
+	onOfflineChange(callback) {
+		this.offlineCallback = callback;
+	}
+	/**
+	 * Mark offline catch-up as running or done. The finishing callback
+	 * runs while still marked offline, so what it records is stamped
+	 * offline too.
+	 */
+	setOffline(offline) {
+		if (offline) {
+			this.offline = true;
+			this.offlineCallback?.(true);
+		} else {
+			this.offlineCallback?.(false);
+			this.offline = false;
+		}
+	}
+	/**
+	 * Set up game patches marking shop purchases and offline catch-up
+	 */
+	setupPatches(ctx) {
+		const context = this;
+		// Signature: processOffline() - async, runs the missed game ticks
+		ctx.patch(Game, 'processOffline').replace(async function (o, ...args) {
+			context.setOffline(true);
+			try {
+				return await o(...args);
+			} finally {
+				context.setOffline(false);
+			}
+		});
+		// Signature: buyItemOnClick(purchase, confirmed) - purchases that
+		// wait for a confirmation dialog are attributed to the active action
+		if (typeof Shop.prototype.buyItemOnClick === 'function') {
+			ctx.patch(Shop, 'buyItemOnClick').replace(function (o, ...args) {
+				return context.during('shop', () => o(...args));
+			});
+		} else {
+			logger.debug(
+				'No Shop.buyItemOnClick in this game version - skipped',
+			);
+		}
+		logger.info('Action context patches installed');
+	}
+	/**
+	 * Run `fn` with events attributed to `origin`
+	 */
+	during(origin, fn) {
+		const previous = this.origin;
+		this.origin = origin;
+		try {
+			return fn();
+		} finally {
+			this.origin = previous;
+		}
+	}
+	/**
+	 * Context of an event happening now
+	 */
+	current() {
+		const context =
+			this.origin ? { action: this.origin } : this.getActiveAction();
+		const mode = game.currentGamemode?.id;
+		if (mode) {
+			context.mode = mode;
+		}
+		if (this.offline) {
+			context.offline = true;
+		}
+		return context;
+	}
+	/**
+	 * action and target of the skill or combat the player is running
+	 */
+	getActiveAction() {
+		const action = game.activeAction;
+		const context = {};
+		if (!action) {
+			return context;
+		}
+		if (action === game.combat) {
+			const areaRef = ActionContext.getAreaRef(action.selectedArea);
+			const monster = action.enemy?.monster;
+			if (areaRef) context.action = areaRef;
+			if (monster?.id) context.target = `monster:${monster.id}`;
+		} else if (
+			action.id &&
+			game.skills.getObjectByID(action.id) === action
+		) {
+			const recipe = this.getRecipe(action);
+			context.action = `skill:${action.id}`;
+			if (recipe?.id) context.target = `mastery:${recipe.id}`;
+		}
+		return context;
+	}
+	getRecipe(skill) {
+		const property = RECIPE_PROPERTIES.find((p) => skill[p]);
+		const recipe = property && skill[property];
+		return recipe instanceof Set ? recipe.values().next().value : recipe;
+	}
+	/**
+	 * mediaRef prefix for a combat area, dungeon, stronghold or abyssal
+	 * depth, or undefined if it is none of them
+	 */
+	static getAreaType(area) {
+		if (!area?.id) return undefined;
+		return AREA_REGISTRIES.find(
+			([, registry]) => game[registry]?.getObjectByID(area.id) === area,
+		)?.[0];
+	}
+	static getAreaRef(area) {
+		const type = this.getAreaType(area);
+		return type ? `${type}:${area.id}` : undefined;
+	}
+}
+// Names of the origins that stand in for an action
+ActionContext.ORIGINS = Object.freeze({ shop: 'Shop' });
+//# sourceMappingURL=action-context.js.map
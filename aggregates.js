@@ -0,0 +1,145 @@
+/// <reference path="../types/melvor.d.ts" />
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Rolled-up totals for notifications that were pruned from the raw history.
+ * Entries are folded into hourly and daily buckets keyed by type and
+ * mediaRef, keeping how many occurred (count) and their summed quantity.
+ *
+ * Stored as { hour: { [start]: { [key]: [count, quantity] } }, day: ... }.
+ * Hourly buckets are kept for HOUR_BUCKET_DAYS; daily buckets forever.
+ */
+export class AggregateStore {
+	constructor(data) {
+		this.buckets = {
+			hour: data?.hour ?? {},
+			day: data?.day ?? {},
+		};
+	}
+	/**
+	 * Start of the bucket a timestamp falls in. Days start at local midnight.
+	 */
+	static bucketStart(timestamp, bucket) {
+		if (bucket === 'hour') {
+			return Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+		}
+		const date = new Date(timestamp);
+		date.setHours(0, 0, 0, 0);
+		return date.getTime();
+	}
+	/**
+	 * Key for the type/mediaRef pair a notification is totalled under
+	 */
+	static keyOf(notification) {
+		return `${notification.type}|${notification.mediaRef ?? ''}`;
+	}
+	/**
+	 * Add notifications to the hourly and daily totals
+	 */
+	fold(notifications) {
+		for (const n of notifications) {
+			for (const bucket of ['hour', 'day']) {
+				AggregateStore.add(this.buckets[bucket], bucket, n);
+			}
+		}
+		this.expireHourly();
+	}
+	/**
+	 * Add one notification to a bucket map
+	 */
+	static add(buckets, bucket, notification) {
+		const start = AggregateStore.bucketStart(
+			notification.timestamp,
+			bucket,
+		);
+		const totals = (buckets[start] ??= {});
+		const key = AggregateStore.keyOf(notification);
+		const [count, quantity] = totals[key] ?? [0, 0];
+		totals[key] = [
+			count + (notification.count || 1),
+			quantity + (notification.quantity || 1),
+		];
+	}
+	/**
+	 * Drop hourly buckets older than HOUR_BUCKET_DAYS
+	 */
+	expireHourly(now = Date.now()) {
+		const cutoff = now - AggregateStore.HOUR_BUCKET_DAYS * DAY_MS;
+		for (const start of Object.keys(this.buckets.hour)) {
+			if (Number(start) < cutoff) {
+				delete this.buckets.hour[start];
+			}
+		}
+	}
+	/**
+	 * Merge another store's totals into this one
+	 */
+	merge(other) {
+		for (const bucket of ['hour', 'day']) {
+			for (const [start, totals] of Object.entries(
+				other.buckets[bucket],
+			)) {
+				const target = (this.buckets[bucket][start] ??= {});
+				for (const [key, [count, quantity]] of Object.entries(totals)) {
+					const [c, q] = target[key] ?? [0, 0];
+					target[key] = [c + count, q + quantity];
+				}
+			}
+		}
+	}
+	/**
+	 * Totals per bucket for a time range, oldest bucket first.
+	 * `live` notifications (the raw history) are folded in on the fly, so
+	 * results cover both pruned and current entries.
+	 *
+	 * @param {{ start?: number, end?: number }} range - timestamps, end exclusive
+	 * @param {'hour' | 'day'} bucket
+	 * @returns {{ start: number, totals: { type: string, mediaRef?: string, count: number, quantity: number }[] }[]}
+	 */
+	query(range, bucket, live = []) {
+		const start = range?.start ?? 0;
+		const end = range?.end ?? Infinity;
+		const buckets = {};
+		const inRange = (timestamp) => timestamp >= start && timestamp < end;
+		for (const [bucketStart, totals] of Object.entries(
+			this.buckets[bucket] ?? {},
+		)) {
+			if (inRange(Number(bucketStart))) {
+				buckets[bucketStart] = { ...totals };
+			}
+		}
+		for (const n of live) {
+			if (inRange(n.timestamp)) {
+				AggregateStore.add(buckets, bucket, n);
+			}
+		}
+		return Object.entries(buckets)
+			.map(([bucketStart, totals]) => ({
+				start: Number(bucketStart),
+				totals: Object.entries(totals).map(
+					([key, [count, quantity]]) => {
+						const [type, mediaRef] = key.split('|');
+						return {
+							type,
+							...(mediaRef ? { mediaRef } : {}),
+							count,
+							quantity,
+						};
+					},
+				),
+			}))
+			.sort((a, b) => a.start - b.start);
+	}
+	/**
+	 * True when nothing has been folded in
+	 */
+	get isEmpty() {
+		return Object.keys(this.buckets.day).length === 0;
+	}
+	toJSON() {
+		return this.buckets;
+	}
+}
+AggregateStore.HOUR_BUCKET_DAYS = 30;
+//# sourceMappingURL=aggregates.js.map
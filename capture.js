@@ -17,11 +17,50 @@ const NOTIFICATION_TYPE_TO_SETTING = Object.freeze({
 	AbyssalXP: 'captureAbyssalXP',
 	MasteryLevel: 'captureMasteryLevel',
 	SummoningMark: 'captureSummoningMarks',
+	LevelUp: 'captureLevelUps',
+	AbyssalLevelUp: 'captureAbyssalLevelUps',
+	MonsterKill: 'captureMonsterKills',
+	PlayerDeath: 'capturePlayerDeaths',
+	DungeonCompletion: 'captureDungeonCompletions',
+	StrongholdCompletion: 'captureStrongholdCompletions',
+	DepthCompletion: 'captureDepthCompletions',
+	LootCollected: 'captureLootCollected',
+	OfflineProgress: 'captureOfflineProgress',
 });
 
+// Structured details some types carry, copied onto the notification:
+//   level, fromLevel - level reached and the one before (level-ups)
+//   area  - mediaRef of the combat area, dungeon, ... it happened in
+//   lines - [mediaRef, quantity, unit?] line items, e.g. items lost on death
+const DETAIL_FIELDS = Object.freeze(['level', 'fromLevel', 'area', 'lines']);
+
+// Types reported both by game popups and by the ledger hooks (ledger.js),
+// which are de-duplicated against each other.
+const LEDGER_TYPES = Object.freeze([
+	'AddItem',
+	'RemoveItem',
+	'AddGP',
+	'RemoveGP',
+	'AddSlayerCoins',
+	'RemoveSlayerCoins',
+	'AddCurrency',
+	'RemoveCurrency',
+	'SkillXP',
+	'AbyssalXP',
+]);
+
+// Ledger types paired by skill alone: the popup can show a different amount
+// than the XP the ledger measures (caps, modifiers applied after it)
+const XP_TYPES = Object.freeze(['SkillXP', 'AbyssalXP']);
+
+// How long an event waits for its counterpart from the other source. Both
+// fire in the same call, so this only needs to outlast one game tick.
+const DEDUP_WINDOW_MS = 1000;
+
 // Valid capture setting keys accepted from settings-change events.
 const VALID_CAPTURE_SETTING_KEYS = new Set([
 	'captureEnabled',
+	'captureLedger',
 	'captureErrors',
 	'captureSuccess',
 	'captureInfo',
@@ -37,6 +76,15 @@ const VALID_CAPTURE_SETTING_KEYS = new Set([
 	'captureAbyssalXP',
 	'captureMasteryLevel',
 	'captureSummoningMarks',
+	'captureLevelUps',
+	'captureAbyssalLevelUps',
+	'captureMonsterKills',
+	'capturePlayerDeaths',
+	'captureDungeonCompletions',
+	'captureStrongholdCompletions',
+	'captureDepthCompletions',
+	'captureLootCollected',
+	'captureOfflineProgress',
 ]);
 
 /**
@@ -47,6 +95,28 @@ export class NotificationCapture {
 		this.callback = null;
 		this.captureCount = 0;
 		this.settings = settings;
+		// Timestamp and counter of the last generated id
+		this.lastIdTimestamp = 0;
+		this.idSequence = 0;
+		// Random per page load, so ids captured on another device or in
+		// another tab are very unlikely to collide with these (imports and
+		// merges match entries by id)
+		this.idTag = Math.random().toString(36).substring(2, 6).padEnd(4, '0');
+		// Recent ledger-type events by change, waiting to be paired with the
+		// same change from the other source: key -> [{ source, time }]
+		this.unmatched = new Map();
+		this.lastSweep = 0;
+		// What the player is doing, stamped on each notification
+		this.actionContext = new ActionContext();
+		// Totals of the offline catch-up running, if it is summarized
+		this.offlineSummary = null;
+		this.actionContext.onOfflineChange((offline) => {
+			if (offline) {
+				this.startOfflineSummary();
+			} else {
+				this.finishOfflineSummary();
+			}
+		});
 	}
 	/**
 	 * Update capture settings
@@ -149,26 +219,11 @@ export class NotificationCapture {
 		// quantity > 0 = add, quantity < 0 = remove
 		ctx.patch(NotificationsManager, 'createCurrencyNotification').after(
 			(result, currency, quantity) => {
-				// Determine notification type based on currency and quantity sign
-				let notifType;
-				let settingKey;
 				const isAdd = quantity > 0;
-				if (currency.id === 'melvorD:GP') {
-					notifType = isAdd ? 'AddGP' : 'RemoveGP';
-					settingKey = isAdd ? 'captureGPAdded' : 'captureGPRemoved';
-				} else if (currency.id === 'melvorD:SlayerCoins') {
-					notifType = isAdd ? 'AddSlayerCoins' : 'RemoveSlayerCoins';
-					settingKey =
-						isAdd ?
-							'captureSlayerCoinsAdded'
-						:	'captureSlayerCoinsRemoved';
-				} else {
-					notifType = isAdd ? 'AddCurrency' : 'RemoveCurrency';
-					settingKey =
-						isAdd ?
-							'captureCurrencyAdded'
-						:	'captureCurrencyRemoved';
-				}
+				const { notifType, settingKey } = this.getCurrencyType(
+					currency,
+					isAdd,
+				);
 				if (this.shouldCapture(notifType, settingKey)) {
 					this.captureNotification({
 						type: notifType,
@@ -193,10 +248,8 @@ export class NotificationCapture {
 					this.captureNotification({
 						type: notifType,
 						message: `${quantity > 0 ? '+' : ''}${quantity} GP`,
-						media: 'assets/media/main/coins.png',
+						...this.getCurrencySource('melvorD:GP', 'coins.png'),
 						quantity: Math.abs(quantity),
-						sourceObject: 'coins.png',
-						sourceType: 'static',
 					});
 				}
 			},
@@ -216,10 +269,11 @@ export class NotificationCapture {
 					this.captureNotification({
 						type: notifType,
 						message: `${quantity > 0 ? '+' : ''}${quantity} Slayer Coins`,
-						media: 'assets/media/main/slayer_coins.png',
+						...this.getCurrencySource(
+							'melvorD:SlayerCoins',
+							'slayer_coins.png',
+						),
 						quantity: Math.abs(quantity),
-						sourceObject: 'slayer_coins.png',
-						sourceType: 'static',
 					});
 				}
 			},
@@ -287,10 +341,74 @@ export class NotificationCapture {
 				});
 			}
 		});
+		// Skill level-ups have no notification of their own, so the skill is
+		// patched. Signature: onLevelUp(oldLevel, newLevel) - `this` is the skill
+		const capture = this;
+		ctx.patch(Skill, 'onLevelUp').after(
+			function (result, oldLevel, newLevel) {
+				capture.captureLevelUp('LevelUp', this, oldLevel, newLevel);
+			},
+		);
+		// Signature: onAbyssalLevelUp(oldLevel, newLevel)
+		ctx.patch(Skill, 'onAbyssalLevelUp').after(
+			function (result, oldLevel, newLevel) {
+				capture.captureLevelUp(
+					'AbyssalLevelUp',
+					this,
+					oldLevel,
+					newLevel,
+				);
+			},
+		);
 		logger.info(
 			`Notification capture patches installed (${this.captureCount} total)`,
 		);
 	}
+	/**
+	 * Capture a skill reaching a new (abyssal) level
+	 */
+	captureLevelUp(type, skill, oldLevel, newLevel) {
+		if (!this.shouldCapture(type) || !(newLevel > oldLevel)) {
+			return;
+		}
+		const name = type === 'AbyssalLevelUp' ? 'Abyssal Level' : 'Level';
+		this.captureNotification({
+			type,
+			message: `${skill.name} ${name} ${newLevel}`,
+			media: skill.media,
+			quantity: 1,
+			level: newLevel,
+			fromLevel: oldLevel,
+			sourceObject: skill,
+			sourceType: 'skill',
+		});
+	}
+	/**
+	 * Start folding events into one summary instead of recording the flood
+	 * of XP and items the game replays for the time away
+	 */
+	startOfflineSummary() {
+		if (!this.shouldCapture('OfflineProgress')) return;
+		this.offlineSummary = new OfflineSummary(
+			game.tickTimestamp ?? Date.now(),
+		);
+		logger.info('Offline progress started - summarizing events');
+	}
+	/**
+	 * Record the summary of the offline catch-up that just finished
+	 */
+	finishOfflineSummary() {
+		const summary = this.offlineSummary;
+		if (!summary) return;
+		this.offlineSummary = null;
+		const data = summary.finish();
+		logger.info(
+			`Offline progress finished - ${summary.folded} events summarized`,
+		);
+		if (data) {
+			this.captureNotification(data);
+		}
+	}
 	/**
 	 * Check if we should capture this notification type
 	 */
@@ -306,6 +424,52 @@ export class NotificationCapture {
 		const key = NOTIFICATION_TYPE_TO_SETTING[type];
 		return this.settings[key];
 	}
+	/**
+	 * Notification type and capture setting for a currency change
+	 */
+	getCurrencyType(currency, isAdd) {
+		if (currency.id === 'melvorD:GP') {
+			return {
+				notifType: isAdd ? 'AddGP' : 'RemoveGP',
+				settingKey: isAdd ? 'captureGPAdded' : 'captureGPRemoved',
+			};
+		}
+		if (currency.id === 'melvorD:SlayerCoins') {
+			return {
+				notifType: isAdd ? 'AddSlayerCoins' : 'RemoveSlayerCoins',
+				settingKey:
+					isAdd ?
+						'captureSlayerCoinsAdded'
+					:	'captureSlayerCoinsRemoved',
+			};
+		}
+		return {
+			notifType: isAdd ? 'AddCurrency' : 'RemoveCurrency',
+			settingKey:
+				isAdd ? 'captureCurrencyAdded' : 'captureCurrencyRemoved',
+		};
+	}
+	/**
+	 * Get media and source for a built-in currency.
+	 * References the currency object (as createCurrencyNotification does) so
+	 * both notification paths share a mediaRef, falling back to the static
+	 * icon if the currency is not registered.
+	 */
+	getCurrencySource(currencyID, staticMedia) {
+		const currency = game.currencies?.getObjectByID(currencyID);
+		if (currency) {
+			return {
+				media: currency.media,
+				sourceObject: currency,
+				sourceType: 'currency',
+			};
+		}
+		return {
+			media: `assets/media/main/${staticMedia}`,
+			sourceObject: staticMedia,
+			sourceType: 'static',
+		};
+	}
 	/**
 	 * Generate media reference for storage
 	 */
@@ -335,9 +499,14 @@ export class NotificationCapture {
 			data.sourceObject && data.sourceType ?
 				this.generateMediaRef(data.sourceObject, data.sourceType)
 			:	undefined;
+		const timestamp = Date.now();
+		if (this.isDuplicate(data, mediaRef, timestamp)) {
+			logger.debug('Skipping change already captured:', data.message);
+			return;
+		}
 		const notification = {
-			id: this.generateId(),
-			timestamp: Date.now(),
+			id: this.generateId(timestamp),
+			timestamp,
 			type: data.type,
 			message: data.message,
 			media: data.media, // Keep for display, won't be saved to storage
@@ -345,6 +514,18 @@ export class NotificationCapture {
 			quantity: data.quantity,
 			customID: data.customID,
 		};
+		for (const field of DETAIL_FIELDS) {
+			if (data[field] !== undefined) {
+				notification[field] = data[field];
+			}
+		}
+		const context = this.actionContext.current();
+		if (Object.keys(context).length > 0) {
+			notification.context = context;
+		}
+		if (this.offlineSummary?.add(notification)) {
+			return;
+		}
 		this.captureCount++;
 		if (this.callback) {
 			this.callback(notification);
@@ -354,6 +535,54 @@ export class NotificationCapture {
 			notification.message,
 		);
 	}
+	/**
+	 * Whether an event is the other source's report of a change that was
+	 * already captured. A popup and a ledger hook fire for the same change,
+	 * so each event pairs with at most one event from the other source.
+	 * Events come from game popups unless `data.source` says otherwise.
+	 */
+	isDuplicate(data, mediaRef, now) {
+		if (!this.settings.captureLedger || !LEDGER_TYPES.includes(data.type)) {
+			return false;
+		}
+		this.sweepUnmatched(now);
+		const amount =
+			XP_TYPES.includes(data.type) ? '' : (
+				parseFloat(data.quantity.toFixed(3))
+			);
+		const key = `${data.type}|${mediaRef}|${amount}`;
+		const source = data.source ?? 'popup';
+		const waiting = this.unmatched.get(key) ?? [];
+		const match = waiting.findIndex((event) => event.source !== source);
+		if (match !== -1) {
+			waiting.splice(match, 1);
+			if (waiting.length === 0) {
+				this.unmatched.delete(key);
+			}
+			return true;
+		}
+		waiting.push({ source, time: now });
+		this.unmatched.set(key, waiting);
+		return false;
+	}
+	/**
+	 * Forget events that were never paired - the other source did not
+	 * report that change
+	 */
+	sweepUnmatched(now) {
+		if (now - this.lastSweep < DEDUP_WINDOW_MS) return;
+		this.lastSweep = now;
+		for (const [key, waiting] of this.unmatched) {
+			const fresh = waiting.filter(
+				(event) => now - event.time <= DEDUP_WINDOW_MS,
+			);
+			if (fresh.length === 0) {
+				this.unmatched.delete(key);
+			} else {
+				this.unmatched.set(key, fresh);
+			}
+		}
+	}
 	/**
 	 * Validate notification data before capturing
 	 */
@@ -395,13 +624,16 @@ export class NotificationCapture {
 		return true;
 	}
 	/**
-	 * Generate unique ID for notification (short format)
+	 * Generate unique ID for notification (short format).
+	 * Base36 timestamp + the page's random tag + a counter for notifications
+	 * captured in the same millisecond, so compact storage only keeps what
+	 * follows the timestamp.
 	 */
-	generateId() {
-		// Use base36 timestamp (shorter) + 4 random chars
-		const timestamp = Date.now().toString(36);
-		const random = Math.random().toString(36).substring(2, 6);
-		return `${timestamp}-${random}`;
+	generateId(timestamp) {
+		this.idSequence =
+			timestamp === this.lastIdTimestamp ? this.idSequence + 1 : 0;
+		this.lastIdTimestamp = timestamp;
+		return `${timestamp.toString(36)}-${this.idTag}${this.idSequence.toString(36)}`;
 	}
 	/**
 	 * Get capture statistics
@@ -0,0 +1,296 @@
+/// <reference path="../types/melvor.d.ts" />
+/**
+ * Compact row encoding for stored notifications, used where space is
+ * tight (the 8KB character save).
+ *
+ * Payload: { base, media: [mediaRef...], rows: [row...] }
+ * Row:     [dt, type, media, quantity, message, count, id, customID, read, pinned,
+ *           occurrences, level, fromLevel, area, lines, context]
+ *   dt       - ms before the previous row (first row: before `base`)
+ *   type     - index into TYPE_CODES, or the type name if not listed
+ *   media    - 1-based index into `media`, 0 for none
+ *   quantity - defaults to 1
+ *   message  - 0 when it can be rebuilt from type, media and quantity
+ *   count    - defaults to 1
+ *   id       - suffix of an id whose prefix is the base36 timestamp,
+ *              "!" + the full id otherwise; defaults to suffix "0"
+ *   customID - omitted when absent
+ *   read     - 1 when marked read individually
+ *   pinned   - 1 when pinned
+ *   occurrences - [ms before the row's timestamp, delta] per grouped event;
+ *              omitted when absent
+ *   level, fromLevel - level reached and the level before, for level-ups
+ *   area     - 1-based index into `media`, omitted when absent
+ *   lines    - [media, quantity, unit?] line items, media as above
+ *   context  - [action, target, mode, offline]: action, target and game
+ *              mode as indices into `media` (0 for none), offline 1 when
+ *              it happened during offline catch-up; trailing 0s dropped
+ * Absent optional fields are written as null, which survives a JSON round
+ * trip unchanged. Trailing fields holding their default are dropped.
+ */
+
+// Append only - the position of a type is its stored code
+const TYPE_CODES = Object.freeze([
+	'Error',
+	'Success',
+	'Info',
+	'AddItem',
+	'RemoveItem',
+	'AddGP',
+	'RemoveGP',
+	'AddSlayerCoins',
+	'RemoveSlayerCoins',
+	'AddCurrency',
+	'RemoveCurrency',
+	'SkillXP',
+	'AbyssalXP',
+	'MasteryLevel',
+	'SummoningMark',
+	'LevelUp',
+	'AbyssalLevelUp',
+	'MonsterKill',
+	'PlayerDeath',
+	'DungeonCompletion',
+	'StrongholdCompletion',
+	'DepthCompletion',
+	'LootCollected',
+	'OfflineProgress',
+]);
+
+// Row defaults, by position, used to trim trailing fields
+const ROW_DEFAULTS = [
+	0,
+	undefined,
+	0,
+	1,
+	0,
+	1,
+	'0',
+	null,
+	0,
+	0,
+	null,
+	null,
+	null,
+	null,
+	null,
+	null,
+];
+
+/**
+ * Encoder/decoder for the compact format
+ */
+export class CompactCodec {
+	/**
+	 * Encode optimized (stored) notifications, newest first
+	 */
+	static encode(stored) {
+		const media = [];
+		const mediaIndex = new Map();
+		const base = stored.length > 0 ? stored[0].timestamp : 0;
+		let previous = base;
+		const codeOf = (mediaRef) => {
+			if (!mediaIndex.has(mediaRef)) {
+				media.push(mediaRef);
+				mediaIndex.set(mediaRef, media.length);
+			}
+			return mediaIndex.get(mediaRef);
+		};
+		const rows = stored.map((n) => {
+			const mediaCode = n.mediaRef ? codeOf(n.mediaRef) : 0;
+			const typeCode = TYPE_CODES.indexOf(n.type);
+			const quantity = n.quantity ?? 1;
+			const rebuilt = this.buildMessage(n.type, n.mediaRef, quantity);
+			const row = [
+				previous - n.timestamp,
+				typeCode === -1 ? n.type : typeCode,
+				mediaCode,
+				quantity,
+				rebuilt === n.message ? 0 : n.message,
+				n.count ?? 1,
+				this.encodeId(n.id, n.timestamp),
+				n.customID ?? null,
+				n.read ? 1 : 0,
+				n.pinned ? 1 : 0,
+				n.occurrences?.map(([time, ...delta]) => [
+					n.timestamp - time,
+					...delta,
+				]) ?? null,
+				n.level ?? null,
+				n.fromLevel ?? null,
+				n.area ? codeOf(n.area) : null,
+				n.lines?.map(([ref, ...line]) => [codeOf(ref), ...line]) ??
+					null,
+				n.context ? this.encodeContext(n.context, codeOf) : null,
+			];
+			previous = n.timestamp;
+			while (
+				row.length > 0 &&
+				row[row.length - 1] === ROW_DEFAULTS[row.length - 1]
+			) {
+				row.pop();
+			}
+			return row;
+		});
+		return { base, media, rows };
+	}
+	/**
+	 * Decode a compact payload back into optimized notifications
+	 */
+	static decode(payload) {
+		let previous = payload.base;
+		return payload.rows.map((row) => {
+			const [
+				dt,
+				typeCode,
+				mediaCode = 0,
+				quantity = 1,
+				message = 0,
+				count = 1,
+				id = '0',
+				customID,
+				read = 0,
+				pinned = 0,
+				occurrences,
+				level,
+				fromLevel,
+				area,
+				lines,
+				context,
+			] = row;
+			const timestamp = previous - dt;
+			previous = timestamp;
+			const type =
+				typeof typeCode === 'number' ? TYPE_CODES[typeCode] : typeCode;
+			const mediaRef =
+				mediaCode > 0 ? payload.media[mediaCode - 1] : undefined;
+			const stored = {
+				id: this.decodeId(id, timestamp),
+				timestamp,
+				type,
+				message:
+					message === 0 ?
+						this.buildMessage(type, mediaRef, quantity)
+					:	message,
+			};
+			if (count > 1) stored.count = count;
+			if (quantity !== 1) stored.quantity = quantity;
+			if (mediaRef) stored.mediaRef = mediaRef;
+			if (customID != null) stored.customID = customID;
+			if (read) stored.read = true;
+			if (pinned) stored.pinned = true;
+			if (level != null) {
+				stored.level = level;
+				if (fromLevel != null) stored.fromLevel = fromLevel;
+			}
+			if (area != null) stored.area = payload.media[area - 1];
+			if (lines != null) {
+				stored.lines = lines.map(([code, ...line]) => [
+					payload.media[code - 1],
+					...line,
+				]);
+			}
+			if (occurrences != null) {
+				stored.occurrences = occurrences.map(([dt, ...delta]) => [
+					timestamp - dt,
+					...delta,
+				]);
+			}
+			if (context != null) {
+				stored.context = this.decodeContext(context, payload.media);
+			}
+			return stored;
+		});
+	}
+	/**
+	 * Context row of an action context (see action-context.js), with
+	 * `codeOf` giving the media table index of a string
+	 */
+	static encodeContext(context, codeOf) {
+		const row = [
+			context.action ? codeOf(context.action) : 0,
+			context.target ? codeOf(context.target) : 0,
+			context.mode ? codeOf(context.mode) : 0,
+			context.offline ? 1 : 0,
+		];
+		while (row.length > 0 && row[row.length - 1] === 0) {
+			row.pop();
+		}
+		return row;
+	}
+	static decodeContext(row, media) {
+		const [action = 0, target = 0, mode = 0, offline = 0] = row;
+		const context = {};
+		if (action > 0) context.action = media[action - 1];
+		if (target > 0) context.target = media[target - 1];
+		if (mode > 0) context.mode = media[mode - 1];
+		if (offline) context.offline = true;
+		return context;
+	}
+	/**
+	 * Shorten an id made by NotificationCapture.generateId() to its suffix
+	 * when its prefix can be derived from the timestamp
+	 */
+	static encodeId(id, timestamp) {
+		const prefix = `${timestamp.toString(36)}-`;
+		const suffix = id.substring(prefix.length);
+		if (id.startsWith(prefix) && /^[0-9a-z]+$/.test(suffix)) {
+			return suffix;
+		}
+		return `!${id}`;
+	}
+	/**
+	 * Inverse of encodeId()
+	 */
+	static decodeId(code, timestamp) {
+		if (code.startsWith('!')) {
+			return code.substring(1);
+		}
+		return `${timestamp.toString(36)}-${code}`;
+	}
+	/**
+	 * Rebuild the message capture.js would have produced from structured
+	 * fields, or undefined if the type's message carries other information.
+	 * Names come from the loaded game data, so messages are only omitted
+	 * when the rebuilt text matches exactly at encode time.
+	 */
+	static buildMessage(type, mediaRef, quantity) {
+		if (!mediaRef) return undefined;
+		const separator = mediaRef.indexOf(':');
+		const refType = mediaRef.substring(0, separator);
+		const id = mediaRef.substring(separator + 1);
+		const sign = type.startsWith('Remove') ? '-' : '+';
+		switch (type) {
+			case 'AddItem':
+			case 'RemoveItem':
+				if (refType !== 'item') return undefined;
+				return `${sign}${quantity} ${this.getName(game.items, id)}`;
+			case 'AddGP':
+			case 'RemoveGP':
+			case 'AddSlayerCoins':
+			case 'RemoveSlayerCoins':
+			case 'AddCurrency':
+			case 'RemoveCurrency':
+				if (refType !== 'currency') return undefined;
+				return `${sign}${quantity} ${this.getName(game.currencies, id)}`;
+			case 'SkillXP':
+			case 'AbyssalXP': {
+				if (refType !== 'skill') return undefined;
+				const suffix = type === 'AbyssalXP' ? 'Abyssal XP' : 'XP';
+				return `+${parseFloat(quantity.toFixed(3))} ${this.getName(game.skills, id)} ${suffix}`;
+			}
+			default:
+				return undefined;
+		}
+	}
+	/**
+	 * Name of a registered game object, falling back to its id if the
+	 * object is gone (e.g. its expansion or mod was removed)
+	 */
+	static getName(registry, id) {
+		return registry?.getObjectByID(id)?.name ?? id;
+	}
+}
+CompactCodec.FORMAT = 'compact';
+CompactCodec.TYPE_CODES = TYPE_CODES;
+//# sourceMappingURL=codec.js.map
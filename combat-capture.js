@@ -0,0 +1,180 @@
+/// <reference path="../types/melvor.d.ts" />
+// CombatManager methods counting a completion, by notification type.
+// Signature: (area) - the dungeon, stronghold or depth completed
+const COMPLETION_METHODS = Object.freeze({
+	DungeonCompletion: 'addDungeonCompletion',
+	StrongholdCompletion: 'addStrongholdCompletion',
+	DepthCompletion: 'addAbyssDepthCompletion',
+});
+
+/**
+ * Capture source for combat: monster kills, player deaths (with the items
+ * lost), dungeon/stronghold/depth completions and loot collected from the
+ * loot container. The game shows no popups for most of these, so the
+ * combat classes are patched directly.
+ */
+export class CombatCapture {
+	/**
+	 * @param {NotificationCapture} capture - receives the events
+	 */
+	constructor(capture) {
+		this.capture = capture;
+	}
+	/**
+	 * Set up game patches on combat and the loot container
+	 */
+	setupPatches(ctx) {
+		const combat = this;
+		// The enemy and area are read before the game moves on to the
+		// next spawn. Signature: onEnemyDeath()
+		ctx.patch(CombatManager, 'onEnemyDeath').replace(function (o) {
+			const monster = this.enemy?.monster;
+			const area = this.selectedArea;
+			const result = o();
+			combat.recordKill(monster, area);
+			return result;
+		});
+		// Items lost on death are found by comparing what the player had
+		// before and after. Signature: onPlayerDeath()
+		ctx.patch(CombatManager, 'onPlayerDeath').replace(function (o) {
+			const area = this.selectedArea;
+			const before = combat.carriedItems(this.player);
+			const result = o();
+			combat.recordDeath(area, before, combat.carriedItems(this.player));
+			return result;
+		});
+		for (const [type, method] of Object.entries(COMPLETION_METHODS)) {
+			if (typeof CombatManager.prototype[method] !== 'function') {
+				logger.debug(`No ${method} in this game version - skipped`);
+				continue;
+			}
+			ctx.patch(CombatManager, method).after((result, area) => {
+				this.recordCompletion(type, area);
+			});
+		}
+		// Loot is whatever left the container. Signatures: lootAll(),
+		// collectItem(...) - `this` is the loot container
+		for (const method of ['lootAll', 'collectItem']) {
+			ctx.patch(CombatLoot, method).replace(function (o, ...args) {
+				const before = combat.lootQuantities(this);
+				const result = o(...args);
+				combat.recordLoot(before, combat.lootQuantities(this));
+				return result;
+			});
+		}
+		logger.info('Combat capture patches installed');
+	}
+	/**
+	 * Equipped items and food, as item -> quantity
+	 */
+	carriedItems(player) {
+		const carried = new Map();
+		const add = (item, quantity) => {
+			if (item && item !== game.emptyEquipmentItem && quantity > 0) {
+				carried.set(item, (carried.get(item) ?? 0) + quantity);
+			}
+		};
+		player?.equipment?.equippedArray?.forEach((slot) =>
+			add(slot.item, slot.quantity),
+		);
+		player?.food?.slots?.forEach((slot) => add(slot.item, slot.quantity));
+		return carried;
+	}
+	/**
+	 * Items waiting in the loot container, as item -> quantity
+	 */
+	lootQuantities(loot) {
+		const quantities = new Map();
+		loot?.drops?.forEach(({ item, quantity }) =>
+			quantities.set(item, (quantities.get(item) ?? 0) + quantity),
+		);
+		return quantities;
+	}
+	/**
+	 * [item, quantity] for each item `after` has less of than `before`
+	 */
+	decreases(before, after) {
+		const decreased = [];
+		for (const [item, quantity] of before) {
+			const lost = quantity - (after.get(item) ?? 0);
+			if (lost > 0) {
+				decreased.push([item, lost]);
+			}
+		}
+		return decreased;
+	}
+	recordKill(monster, area) {
+		if (!monster || !this.capture.shouldCapture('MonsterKill')) return;
+		this.capture.captureNotification({
+			type: 'MonsterKill',
+			message:
+				area?.name ?
+					`Killed ${monster.name} in ${area.name}`
+				:	`Killed ${monster.name}`,
+			media: monster.media,
+			quantity: 1,
+			area: ActionContext.getAreaRef(area),
+			sourceObject: monster,
+			sourceType: 'monster',
+		});
+	}
+	recordDeath(area, before, after) {
+		if (!this.capture.shouldCapture('PlayerDeath')) return;
+		const lost = this.decreases(before, after);
+		let message = area?.name ? `Died in ${area.name}` : 'Died in combat';
+		if (lost.length > 0) {
+			message += `, lost ${lost.map(([item]) => item.name).join(', ')}`;
+		}
+		this.capture.captureNotification({
+			type: 'PlayerDeath',
+			message,
+			media: area?.media,
+			quantity: 1,
+			area: ActionContext.getAreaRef(area),
+			lines:
+				lost.length > 0 ?
+					lost.map(([item, quantity]) => [
+						`item:${item.id}`,
+						-quantity,
+					])
+				:	undefined,
+		});
+	}
+	recordCompletion(type, area) {
+		if (!area || !this.capture.shouldCapture(type)) return;
+		this.capture.captureNotification({
+			type,
+			message: `Completed ${area.name}`,
+			media: area.media,
+			quantity: 1,
+			sourceObject: area,
+			sourceType: ActionContext.getAreaType(area),
+		});
+	}
+	recordLoot(before, after) {
+		if (!this.capture.shouldCapture('LootCollected')) return;
+		const collected = this.decreases(before, after);
+		if (collected.length === 0) return;
+		const total = collected.reduce(
+			(sum, [, quantity]) => sum + quantity,
+			0,
+		);
+		const [[first, firstQuantity]] = collected;
+		this.capture.captureNotification({
+			type: 'LootCollected',
+			message:
+				collected.length === 1 ?
+					`Looted ${firstQuantity} ${first.name}`
+				:	`Looted ${total} items (${collected.length} kinds)`,
+			media: first.media,
+			quantity: total,
+			sourceObject: first,
+			sourceType: 'item',
+			lines: collected.map(([item, quantity]) => [
+				`item:${item.id}`,
+				quantity,
+			]),
+		});
+	}
+}
+//# sourceMappingURL=combat-capture.js.map
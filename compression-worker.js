@@ -0,0 +1,104 @@
+/**
+ * Compression worker for Activity Monitor.
+ * Runs notification encoding, JSON serialization, DEFLATE, base64 and the
+ * checksum off the main thread, so saves and size probing never stall the
+ * game loop. Bundled as a module worker together with CompressionUtil and
+ * the codec.
+ *
+ * Request:  { id, op, payload }
+ * Response: { id, result } or { id, error }
+ *
+ * Ops mirror CompressionUtil's in-thread implementations:
+ *   names      - item, currency and skill [id, name] pairs for rebuilding
+ *                compact messages
+ *   encode     - { payload, encoding } ->
+ *                { data, checksum, compressedSize, uncompressedSize }
+ *   measure    - { payload, encoding } -> { compressedSize, uncompressedSize }
+ *   compress   - data -> { compressed, uncompressedSize }
+ *   decompress - Uint8Array -> data
+ * See CompressionUtil.prepare() for the encodings.
+ */
+import { CompactCodec } from './codec.js';
+import { CompressionUtil } from './compression.js';
+
+// CompressionUtil.prepare() finds the codec globally, as on the main thread
+self.CompactCodec = CompactCodec;
+// Just the name lookups CompactCodec.buildMessage() makes on the game
+const registry = (pairs = []) => {
+	const names = new Map(pairs);
+	return {
+		getObjectByID: (id) =>
+			names.has(id) ? { name: names.get(id) } : undefined,
+	};
+};
+self.game = { items: registry(), currencies: registry(), skills: registry() };
+
+const deflate = async (json) => {
+	const stream = new Blob([json])
+		.stream()
+		.pipeThrough(new CompressionStream('deflate'));
+	return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const inflate = async (bytes) => {
+	const stream = new Blob([bytes])
+		.stream()
+		.pipeThrough(new DecompressionStream('deflate'));
+	return new Response(stream).text();
+};
+
+const ops = {
+	async names({ items, currencies, skills }) {
+		self.game = {
+			items: registry(items),
+			currencies: registry(currencies),
+			skills: registry(skills),
+		};
+		return { result: true };
+	},
+	async encode({ payload, encoding }) {
+		const json = JSON.stringify(CompressionUtil.prepare(payload, encoding));
+		const compressed = await deflate(json);
+		const data = CompressionUtil.toBase64(compressed);
+		return {
+			result: {
+				data,
+				checksum: CompressionUtil.checksum(data),
+				compressedSize: compressed.length,
+				uncompressedSize: json.length,
+			},
+		};
+	},
+	async measure({ payload, encoding }) {
+		const json = JSON.stringify(CompressionUtil.prepare(payload, encoding));
+		const compressed = await deflate(json);
+		return {
+			result: {
+				compressedSize: compressed.length,
+				uncompressedSize: json.length,
+			},
+		};
+	},
+	async compress(data) {
+		const json = JSON.stringify(data);
+		const compressed = await deflate(json);
+		return {
+			result: { compressed, uncompressedSize: json.length },
+			transfer: [compressed.buffer],
+		};
+	},
+	async decompress(bytes) {
+		return { result: JSON.parse(await inflate(bytes)) };
+	},
+};
+
+self.onmessage = async (event) => {
+	const { id, op, payload } = event.data;
+	try {
+		const { result, transfer = [] } = await ops[op](payload);
+		self.postMessage({ id, result }, transfer);
+	} catch (error) {
+		self.postMessage({ id, error: String(error?.message ?? error) });
+	}
+};
+//# sourceMappingURL=compression-worker.js.map
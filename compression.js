@@ -2,6 +2,10 @@
 /**
  * Compression utility using native browser API
  * Requires Chrome 80+, Firefox 113+, Safari 16.4+, Edge 80+
+ *
+ * Once enableWorker() has started a Web Worker (compression-worker.js),
+ * encoding, serialization and compression run there; until then, or if it
+ * cannot start, everything runs in-thread.
  */
 export class CompressionUtil {
 	/**
@@ -10,10 +14,281 @@ export class CompressionUtil {
 	static isSupported() {
 		return 'CompressionStream' in window && 'DecompressionStream' in window;
 	}
+	/**
+	 * Start the compression worker from the mod's resources. Not awaited
+	 * by setup; saves made before the worker answers compress in-thread.
+	 * Returns false (and keeps compressing in-thread) if no worker can be
+	 * created, e.g. when mod resources are served cross-origin and a blob
+	 * copy is blocked too.
+	 */
+	static async enableWorker(ctx) {
+		if (!this.isSupported() || typeof Worker === 'undefined') {
+			return false;
+		}
+		const url = ctx.getResourceUrl('compression-worker.js');
+		try {
+			this.worker = await this.startWorker(url);
+		} catch (error) {
+			try {
+				// Workers must be same-origin; a blob copy of the bundled
+				// script (no imports left to resolve) still works when mod
+				// resources live on another origin
+				const source = await (await fetch(url)).text();
+				const blobUrl = URL.createObjectURL(
+					new Blob([source], { type: 'text/javascript' }),
+				);
+				this.worker = await this.startWorker(blobUrl);
+			} catch (blobError) {
+				logger.warn(
+					'Compression worker unavailable - compressing on main thread:',
+					blobError,
+				);
+				this.worker = null;
+				return false;
+			}
+		}
+		logger.info('Compression worker started');
+		return true;
+	}
+	/**
+	 * Create a worker and wait for it to answer a trivial request, so
+	 * scripts that fail to load are detected up front
+	 */
+	static startWorker(url) {
+		return new Promise((resolve, reject) => {
+			const worker = new Worker(url, { type: 'module' });
+			const timeout = setTimeout(() => {
+				worker.terminate();
+				reject(new Error('Compression worker did not respond'));
+			}, 5000);
+			worker.onerror = (event) => {
+				clearTimeout(timeout);
+				worker.terminate();
+				reject(new Error(event.message || 'Worker failed to load'));
+			};
+			worker.onmessage = () => {
+				clearTimeout(timeout);
+				worker.onmessage = (event) => this.handleWorkerMessage(event);
+				worker.onerror = (event) => this.disableWorker(event.message);
+				resolve(worker);
+			};
+			worker.postMessage({
+				id: 0,
+				op: 'measure',
+				payload: { payload: [] },
+			});
+		});
+	}
+	/**
+	 * Resolve the pending request a worker response belongs to
+	 */
+	static handleWorkerMessage({ data: { id, result, error } }) {
+		const request = this.pending.get(id);
+		if (!request) return;
+		this.pending.delete(id);
+		if (error !== undefined) {
+			request.reject(new Error(error));
+		} else {
+			request.resolve(result);
+		}
+	}
+	/**
+	 * Stop using the worker after it crashed; pending requests fail and
+	 * callers fall back to the in-thread implementation
+	 */
+	static disableWorker(reason) {
+		logger.warn(`Compression worker stopped: ${reason}`);
+		this.worker?.terminate();
+		this.worker = null;
+		for (const request of this.pending.values()) {
+			request.reject(new Error('Compression worker stopped'));
+		}
+		this.pending.clear();
+	}
+	/**
+	 * Send a request to the worker
+	 */
+	static runInWorker(op, payload) {
+		return new Promise((resolve, reject) => {
+			const id = ++this.requestId;
+			this.pending.set(id, { resolve, reject });
+			try {
+				this.worker.postMessage({ id, op, payload });
+			} catch (error) {
+				// e.g. DataCloneError
+				this.pending.delete(id);
+				reject(error);
+			}
+		});
+	}
+	/**
+	 * Run an op on the worker if one is running, or return undefined so
+	 * the caller uses the in-thread implementation
+	 */
+	static async tryWorker(op, payload) {
+		if (!this.worker) {
+			return undefined;
+		}
+		try {
+			return await this.runInWorker(op, payload);
+		} catch (error) {
+			logger.warn(`Worker ${op} failed - using main thread:`, error);
+			return undefined;
+		}
+	}
 	/**
 	 * Compress notification store using DEFLATE
 	 */
 	static async compress(data) {
+		const result = await this.tryWorker('compress', data);
+		if (result) {
+			return { ...result, version: this.VERSION };
+		}
+		return this.compressInThread(data);
+	}
+	/**
+	 * Encode a payload (see prepare()), compress, base64-encode
+	 * and checksum it in one step, ready to be stored
+	 */
+	static async encode(payload, encoding) {
+		if (encoding === 'compact') {
+			this.sendNames();
+		}
+		const result = await this.tryWorker('encode', { payload, encoding });
+		if (result) {
+			return { ...result, version: this.VERSION };
+		}
+		const compressed = await this.compressInThread(
+			this.prepare(payload, encoding),
+		);
+		const data = this.toBase64(compressed.compressed);
+		return {
+			data,
+			checksum: this.checksum(data),
+			compressedSize: compressed.compressed.length,
+			uncompressedSize: compressed.uncompressedSize,
+			version: this.VERSION,
+		};
+	}
+	/**
+	 * Measure compressed and uncompressed size of an encoded payload
+	 * without keeping the bytes
+	 */
+	static async measure(payload, encoding) {
+		if (encoding === 'compact') {
+			this.sendNames();
+		}
+		const result = await this.tryWorker('measure', { payload, encoding });
+		if (result) {
+			return result;
+		}
+		const compressed = await this.compressInThread(
+			this.prepare(payload, encoding),
+		);
+		return {
+			compressedSize: compressed.compressed.length,
+			uncompressedSize: compressed.uncompressedSize,
+		};
+	}
+	/**
+	 * Send the worker the names compact messages are rebuilt from, once
+	 * game data is loaded. Without them the worker keeps every message.
+	 */
+	static sendNames() {
+		if (!this.worker || this.namesSent) {
+			return;
+		}
+		const pairs = (registry) =>
+			registry?.allObjects?.map((object) => [object.id, object.name]) ??
+			[];
+		this.namesSent = true;
+		this.runInWorker('names', {
+			items: pairs(game.items),
+			currencies: pairs(game.currencies),
+			skills: pairs(game.skills),
+		}).catch((error) => {
+			logger.warn('Failed to send names to compression worker:', error);
+		});
+	}
+	/**
+	 * Optimize notification for storage by removing redundant data
+	 * Prefers mediaRef, but falls back to optimized media URL if mediaRef is undefined
+	 */
+	static optimize(notification) {
+		const optimized = {
+			id: notification.id,
+			timestamp: notification.timestamp,
+			type: notification.type,
+			message: notification.message,
+		};
+		// Only include count if > 1
+		if (notification.count && notification.count > 1) {
+			optimized.count = notification.count;
+		}
+		// Only include quantity if > 1
+		if (notification.quantity && notification.quantity > 1) {
+			optimized.quantity = notification.quantity;
+		}
+		// Prefer mediaRef, but fall back to optimized media URL
+		if (notification.mediaRef) {
+			optimized.mediaRef = notification.mediaRef;
+		} else if (notification.media) {
+			// Fallback: save media URL with dl: prefix + CDN prefix replacement
+			optimized.mediaRef = `dl:${notification.media.replace('https://cdn2-main.melvor.net/assets/media/', 'mainCDN:')}`;
+		}
+		// Include customID if present
+		if (notification.customID) {
+			optimized.customID = notification.customID;
+		}
+		// Only individually read entries carry a flag; see isUnread()
+		if (notification.read) {
+			optimized.read = true;
+		}
+		if (notification.pinned) {
+			optimized.pinned = true;
+		}
+		if (notification.occurrences?.length > 0) {
+			optimized.occurrences = notification.occurrences;
+		}
+		if (notification.level != null) {
+			optimized.level = notification.level;
+			optimized.fromLevel = notification.fromLevel;
+		}
+		if (notification.area) {
+			optimized.area = notification.area;
+		}
+		if (notification.lines?.length > 0) {
+			optimized.lines = notification.lines;
+		}
+		if (notification.context) {
+			optimized.context = notification.context;
+		}
+		return optimized;
+	}
+	/**
+	 * Value serialized for a payload in the given encoding:
+	 *   undefined - stored as is (aggregates, trash, sessions)
+	 *   'stored'  - a list of notifications, optimized
+	 *   'compact' - a list of notifications, optimized and compact-encoded
+	 *   'entries' - an object whose `entries` are notifications, optimized
+	 */
+	static prepare(payload, encoding) {
+		const optimize = (n) => this.optimize(n);
+		switch (encoding) {
+			case 'stored':
+				return payload.map(optimize);
+			case 'compact':
+				return CompactCodec.encode(payload.map(optimize));
+			case 'entries':
+				return { ...payload, entries: payload.entries.map(optimize) };
+			default:
+				return payload;
+		}
+	}
+	/**
+	 * Compress on the main thread
+	 */
+	static async compressInThread(data) {
 		if (!this.isSupported()) {
 			logger.warn(
 				'CompressionStream not supported - storing uncompressed',
@@ -58,6 +333,18 @@ export class CompressionUtil {
 	 * Decompress notification store
 	 */
 	static async decompress(store) {
+		if (this.isSupported()) {
+			const result = await this.tryWorker('decompress', store.compressed);
+			if (result !== undefined) {
+				return result;
+			}
+		}
+		return this.decompressInThread(store);
+	}
+	/**
+	 * Decompress on the main thread
+	 */
+	static async decompressInThread(store) {
 		if (!this.isSupported()) {
 			logger.warn(
 				'DecompressionStream not supported - reading uncompressed',
@@ -109,6 +396,18 @@ export class CompressionUtil {
 		}
 		return bytes;
 	}
+	/**
+	 * 32-bit FNV-1a checksum of a string, as 8 hex digits.
+	 * Used to detect damaged payloads before trying to decompress them.
+	 */
+	static checksum(text) {
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < text.length; i++) {
+			hash ^= text.charCodeAt(i);
+			hash = Math.imul(hash, 0x01000193);
+		}
+		return (hash >>> 0).toString(16).padStart(8, '0');
+	}
 	/**
 	 * Estimate compressed size without actually compressing
 	 * Useful for UI display before compression
@@ -119,5 +418,9 @@ export class CompressionUtil {
 		return Math.floor(json.length * 0.3);
 	}
 }
-CompressionUtil.VERSION = 1;
+CompressionUtil.VERSION = 2;
+CompressionUtil.worker = null;
+CompressionUtil.pending = new Map();
+CompressionUtil.requestId = 0;
+CompressionUtil.namesSent = false;
 //# sourceMappingURL=compression.js.map
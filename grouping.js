@@ -0,0 +1,111 @@
+/// <reference path="../types/melvor.d.ts" />
+// How notifications of a type are grouped - see GroupingPolicy
+const STRATEGIES = Object.freeze([
+	'auto',
+	'item',
+	'item+action',
+	'item+source',
+	'message',
+	'never',
+]);
+
+// Types without a quantity, which 'auto' groups by message
+const MESSAGE_TYPES = Object.freeze(['Error', 'Info']);
+
+// Types 'auto' keeps separately: milestones, and entries whose line items
+// would be lost by grouping
+const SEPARATE_TYPES = Object.freeze([
+	'LevelUp',
+	'AbyssalLevelUp',
+	'PlayerDeath',
+	'LootCollected',
+	'OfflineProgress',
+]);
+
+/**
+ * Which notifications are grouped into one entry (with a running count and
+ * quantity), chosen per type:
+ *   auto        - by message for Error and Info notifications, never for
+ *                 level-ups, deaths, loot and offline progress summaries,
+ *                 by item for everything else
+ *                 (the default)
+ *   item        - by what it is about: item, skill, currency, ...
+ *   item+action - by item and the action it came from (online or
+ *                 offline), so Woodcutting logs and bought logs stay apart
+ *   item+source - by item and by the game notification that reported it
+ *   message     - by exact message
+ *   never       - every notification is kept separately
+ *
+ * Rules are written as comma-separated "Type:strategy" pairs, e.g.
+ * "Error:never, SkillXP:item".
+ */
+export class GroupingPolicy {
+	/**
+	 * @param {Map<string, string>} rules - strategy per type
+	 */
+	constructor(rules = new Map()) {
+		this.rules = rules;
+	}
+	/**
+	 * Build the policy from the grouping rules setting
+	 */
+	static fromSettings(text) {
+		try {
+			return new GroupingPolicy(this.parseRules(text));
+		} catch (error) {
+			logger.warn(`Ignoring grouping rules: ${error.message}`);
+			return new GroupingPolicy();
+		}
+	}
+	/**
+	 * Parse rule text into a type -> strategy map. Throws on malformed rules.
+	 */
+	static parseRules(text) {
+		const rules = new Map();
+		for (const part of (text ?? '').split(',')) {
+			const rule = part.trim();
+			if (rule === '') continue;
+			const match = /^(\w+)\s*:\s*([\w+]+)$/.exec(rule);
+			const strategy = match?.[2].toLowerCase();
+			if (!match || !STRATEGIES.includes(strategy)) {
+				throw new Error(
+					`"${rule}" is not a rule - use Type:${STRATEGIES.join('|')}`,
+				);
+			}
+			rules.set(match[1], strategy);
+		}
+		return rules;
+	}
+	strategyFor(type) {
+		return this.rules.get(type) ?? 'auto';
+	}
+	/**
+	 * Key shared by notifications that group together, or null if this
+	 * one is never grouped
+	 */
+	keyOf(notification) {
+		const { type, mediaRef, message, customID, context } = notification;
+		const action = `${context?.action ?? ''}|${context?.offline ? 1 : ''}`;
+		let strategy = this.strategyFor(type);
+		if (strategy === 'auto') {
+			strategy =
+				MESSAGE_TYPES.includes(type) ? 'message'
+				: SEPARATE_TYPES.includes(type) ? 'never'
+				: 'item';
+		}
+		switch (strategy) {
+			case 'item':
+				return `${type}|item|${mediaRef ?? ''}`;
+			case 'item+action':
+				return `${type}|action|${mediaRef ?? ''}|${action}`;
+			case 'item+source':
+				return `${type}|item|${mediaRef ?? ''}|${customID ?? ''}`;
+			case 'message':
+				return `${type}|message|${message}`;
+			default:
+				return null;
+		}
+	}
+}
+GroupingPolicy.STRATEGIES = STRATEGIES;
+//# sourceMappingURL=grouping.js.map
@@ -0,0 +1,170 @@
+/// <reference path="../types/melvor.d.ts" />
+/**
+ * Promise-based wrapper around IndexedDB for notification records.
+ * Stores one record per notification (keyed by id) with indexes on
+ * timestamp, type and mediaRef so history can grow without being
+ * re-serialised as a single blob on every save.
+ */
+export class NotificationDB {
+	constructor(name) {
+		this.name = name;
+		this.db = null;
+	}
+	/**
+	 * Check if IndexedDB is available in current browser
+	 */
+	static isSupported() {
+		return 'indexedDB' in window && window.indexedDB !== null;
+	}
+	/**
+	 * Open (and create/upgrade if needed) the database
+	 */
+	open() {
+		if (this.db) {
+			return Promise.resolve(this.db);
+		}
+		return new Promise((resolve, reject) => {
+			const request = indexedDB.open(
+				this.name,
+				NotificationDB.DB_VERSION,
+			);
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				if (!db.objectStoreNames.contains(NotificationDB.STORE)) {
+					const store = db.createObjectStore(NotificationDB.STORE, {
+						keyPath: 'id',
+					});
+					store.createIndex('timestamp', 'timestamp');
+					store.createIndex('type', 'type');
+					store.createIndex('mediaRef', 'mediaRef');
+				}
+				// Key/value store for bookkeeping such as the schema version
+				if (!db.objectStoreNames.contains(NotificationDB.META_STORE)) {
+					db.createObjectStore(NotificationDB.META_STORE);
+				}
+			};
+			request.onsuccess = () => {
+				this.db = request.result;
+				// Another tab upgrading the schema needs us to let go
+				this.db.onversionchange = () => this.close();
+				resolve(this.db);
+			};
+			request.onerror = () => reject(request.error);
+			request.onblocked = () =>
+				logger.warn(
+					`IndexedDB "${this.name}" open blocked by another tab`,
+				);
+		});
+	}
+	/**
+	 * Close the database connection
+	 */
+	close() {
+		if (this.db) {
+			this.db.close();
+			this.db = null;
+		}
+	}
+	/**
+	 * Get all records, newest first
+	 */
+	async getAll() {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const records = [];
+			const tx = db.transaction(NotificationDB.STORE, 'readonly');
+			const index = tx
+				.objectStore(NotificationDB.STORE)
+				.index('timestamp');
+			const request = index.openCursor(null, 'prev');
+			request.onsuccess = () => {
+				const cursor = request.result;
+				if (cursor) {
+					records.push(cursor.value);
+					cursor.continue();
+				}
+			};
+			tx.oncomplete = () => resolve(records);
+			tx.onerror = () => reject(tx.error);
+		});
+	}
+	/**
+	 * Write and delete records in a single transaction
+	 */
+	async apply(puts, deletes) {
+		if (puts.length === 0 && deletes.length === 0) {
+			return;
+		}
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(NotificationDB.STORE, 'readwrite');
+			const store = tx.objectStore(NotificationDB.STORE);
+			for (const id of deletes) {
+				store.delete(id);
+			}
+			for (const record of puts) {
+				store.put(record);
+			}
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+		});
+	}
+	/**
+	 * Replace the whole store contents in a single transaction
+	 */
+	async replaceAll(records) {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(NotificationDB.STORE, 'readwrite');
+			const store = tx.objectStore(NotificationDB.STORE);
+			store.clear();
+			for (const record of records) {
+				store.put(record);
+			}
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+		});
+	}
+	/**
+	 * Read a bookkeeping value
+	 */
+	async getMeta(key) {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(NotificationDB.META_STORE, 'readonly');
+			const request = tx.objectStore(NotificationDB.META_STORE).get(key);
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	}
+	/**
+	 * Write a bookkeeping value
+	 */
+	async setMeta(key, value) {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(NotificationDB.META_STORE, 'readwrite');
+			tx.objectStore(NotificationDB.META_STORE).put(value, key);
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+		});
+	}
+	/**
+	 * Remove all records
+	 */
+	async clear() {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(NotificationDB.STORE, 'readwrite');
+			tx.objectStore(NotificationDB.STORE).clear();
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+		});
+	}
+}
+NotificationDB.DB_VERSION = 2;
+NotificationDB.STORE = 'notifications';
+NotificationDB.META_STORE = 'meta';
+//# sourceMappingURL=idb.js.map
@@ -0,0 +1,127 @@
+/// <reference path="../types/melvor.d.ts" />
+/**
+ * Second capture source that hooks the game state changes themselves - the
+ * bank, currencies and skill XP - instead of the popups announcing them.
+ * Changes are recorded even when the game's own notification settings hide
+ * the popups or the game skips them. NotificationCapture pairs these events
+ * with the matching popups so each change is recorded once.
+ */
+export class LedgerCapture {
+	/**
+	 * @param {NotificationCapture} capture - receives the events, with
+	 *   `source: 'ledger'`
+	 */
+	constructor(capture) {
+		this.capture = capture;
+	}
+	get enabled() {
+		return (
+			this.capture.settings.captureEnabled &&
+			this.capture.settings.captureLedger
+		);
+	}
+	/**
+	 * Set up game patches on the bank, currencies and skills
+	 */
+	setupPatches(ctx) {
+		const ledger = this;
+		// Signature: addItem(item, quantity, logLost, found, ignoreSpace, notify, itemSource)
+		// Returns false when the item did not fit
+		ctx.patch(Bank, 'addItem').after((added, item, quantity) => {
+			if (added !== false && quantity > 0) {
+				this.recordItem(item, quantity);
+			}
+		});
+		// Signature: removeItemQuantity(item, quantity, removeItemCharges)
+		ctx.patch(Bank, 'removeItemQuantity').after(
+			(result, item, quantity) => {
+				if (quantity > 0) {
+					this.recordItem(item, -quantity);
+				}
+			},
+		);
+		// Signatures: add(amount), remove(amount) - `this` is the currency
+		ctx.patch(Currency, 'add').after(function (result, amount) {
+			if (amount > 0) {
+				ledger.recordCurrency(this, amount);
+			}
+		});
+		ctx.patch(Currency, 'remove').after(function (result, amount) {
+			if (amount > 0) {
+				ledger.recordCurrency(this, -amount);
+			}
+		});
+		// XP is measured before and after, as modifiers change the amount
+		// actually gained. Signature: addXP(amount, masteryAction)
+		ctx.patch(Skill, 'addXP').replace(function (o, ...args) {
+			const before = this.xp;
+			const result = o(...args);
+			ledger.recordXP('SkillXP', this, this.xp - before);
+			return result;
+		});
+		ctx.patch(Skill, 'addAbyssalXP').replace(function (o, ...args) {
+			const before = this.abyssalXP;
+			const result = o(...args);
+			ledger.recordXP('AbyssalXP', this, this.abyssalXP - before);
+			return result;
+		});
+		logger.info('Ledger capture patches installed');
+	}
+	/**
+	 * Record a bank change; quantity > 0 = add, quantity < 0 = remove
+	 */
+	recordItem(item, quantity) {
+		if (!this.enabled) return;
+		const notifType = quantity > 0 ? 'AddItem' : 'RemoveItem';
+		const settingKey =
+			quantity > 0 ? 'captureItemsAdded' : 'captureItemsRemoved';
+		if (!this.capture.shouldCapture(notifType, settingKey)) return;
+		this.capture.captureNotification({
+			type: notifType,
+			message: `${quantity > 0 ? '+' : ''}${quantity} ${item.name}`,
+			media: item.media,
+			quantity: Math.abs(quantity),
+			sourceObject: item,
+			sourceType: 'item',
+			source: 'ledger',
+		});
+	}
+	/**
+	 * Record a currency change; amount > 0 = add, amount < 0 = remove
+	 */
+	recordCurrency(currency, amount) {
+		if (!this.enabled) return;
+		const { notifType, settingKey } = this.capture.getCurrencyType(
+			currency,
+			amount > 0,
+		);
+		if (!this.capture.shouldCapture(notifType, settingKey)) return;
+		this.capture.captureNotification({
+			type: notifType,
+			message: `${amount > 0 ? '+' : ''}${amount} ${currency.name}`,
+			media: currency.media,
+			quantity: Math.abs(amount),
+			sourceObject: currency,
+			sourceType: 'currency',
+			source: 'ledger',
+		});
+	}
+	/**
+	 * Record XP gained by a skill
+	 */
+	recordXP(type, skill, xp) {
+		if (!this.enabled || !(xp > 0)) return;
+		if (!this.capture.shouldCapture(type)) return;
+		const suffix = type === 'AbyssalXP' ? 'Abyssal XP' : 'XP';
+		this.capture.captureNotification({
+			type,
+			message: `+${parseFloat(xp.toFixed(3))} ${skill.name} ${suffix}`,
+			media: skill.media,
+			quantity: xp,
+			sourceObject: skill,
+			sourceType: 'skill',
+			source: 'ledger',
+		});
+	}
+}
+//# sourceMappingURL=ledger.js.map
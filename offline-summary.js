@@ -0,0 +1,109 @@
+/// <reference path="../types/melvor.d.ts" />
+// Types folded into the summary instead of being recorded one by one, with
+// the sign of their line quantity and the unit shown after it. Lines are
+// listed by unit in this order, items and currencies last.
+const FOLDED_TYPES = Object.freeze({
+	SkillXP: [1, 'XP'],
+	AbyssalXP: [1, 'Abyssal XP'],
+	MonsterKill: [1, 'kills'],
+	AddItem: [1],
+	RemoveItem: [-1],
+	AddGP: [1],
+	RemoveGP: [-1],
+	AddSlayerCoins: [1],
+	RemoveSlayerCoins: [-1],
+	AddCurrency: [1],
+	RemoveCurrency: [-1],
+});
+
+// Types dropped while offline: loot collected also reaches the bank, so it
+// is already in the item lines
+const DROPPED_TYPES = Object.freeze(['LootCollected']);
+
+// Static icon of the summary entry
+const SUMMARY_MEDIA = 'statistics_header.png';
+
+/**
+ * Running totals of what happened during one offline catch-up, recorded as
+ * a single OfflineProgress notification when it finishes. Events of other
+ * types (level-ups, deaths, ...) are few and still recorded on their own.
+ *
+ * Lines are [mediaRef, quantity, unit?]: XP per skill, kills per monster,
+ * then items and currencies gained (positive) or lost (negative).
+ */
+export class OfflineSummary {
+	/**
+	 * @param {number} since - when the game was last running
+	 */
+	constructor(since) {
+		this.since = since;
+		// `${unit}|${mediaRef}` -> [mediaRef, quantity, unit?]
+		this.lines = new Map();
+		this.folded = 0;
+	}
+	/**
+	 * Fold a captured notification into the totals. Returns false if it
+	 * should be recorded on its own.
+	 */
+	add(notification) {
+		const { type, mediaRef } = notification;
+		if (DROPPED_TYPES.includes(type)) {
+			return true;
+		}
+		const folding = FOLDED_TYPES[type];
+		if (!folding || !mediaRef) {
+			return false;
+		}
+		const [sign, unit] = folding;
+		// Gains and losses of the same item or currency share a line
+		const key = `${unit ?? ''}|${mediaRef}`;
+		const line =
+			this.lines.get(key) ?? (unit ? [mediaRef, 0, unit] : [mediaRef, 0]);
+		line[1] += sign * (notification.quantity ?? 1);
+		this.lines.set(key, line);
+		this.folded++;
+		return true;
+	}
+	/**
+	 * Capture data for the summary entry, or null if nothing was folded
+	 */
+	finish(now = Date.now()) {
+		const order = Object.values(FOLDED_TYPES).map(([, unit]) => unit);
+		const lines = [...this.lines.values()]
+			.filter(([, quantity]) => quantity !== 0)
+			.map(([ref, quantity, ...unit]) => [
+				ref,
+				parseFloat(quantity.toFixed(3)),
+				...unit,
+			])
+			.sort((a, b) => order.indexOf(a[2]) - order.indexOf(b[2]));
+		if (lines.length === 0) {
+			return null;
+		}
+		const away = now - this.since;
+		return {
+			type: 'OfflineProgress',
+			message:
+				away >= 60 * 1000 ?
+					`Offline progress (${OfflineSummary.formatDuration(away)})`
+				:	'Offline progress',
+			media: `assets/media/main/${SUMMARY_MEDIA}`,
+			sourceObject: SUMMARY_MEDIA,
+			sourceType: 'static',
+			quantity: 1,
+			lines,
+		};
+	}
+	/**
+	 * Duration as "1d 4h", "2h 15m" or "40m"
+	 */
+	static formatDuration(ms) {
+		const minutes = Math.floor(ms / 60000);
+		const hours = Math.floor(minutes / 60);
+		const days = Math.floor(hours / 24);
+		if (days > 0) return `${days}d ${hours % 24}h`;
+		if (hours > 0) return `${hours}h ${minutes % 60}m`;
+		return `${minutes}m`;
+	}
+}
+//# sourceMappingURL=offline-summary.js.map
@@ -0,0 +1,155 @@
+/// <reference path="../types/melvor.d.ts" />
+/**
+ * Structured filter over notifications, shared by StorageManager.query()
+ * and the panel's type/search filters.
+ *
+ * Criteria (all optional, combined with AND):
+ *   types       - type name or list of type names
+ *   since       - oldest timestamp included
+ *   until       - timestamps before this are included (exclusive)
+ *   text        - case-insensitive substring of the message
+ *   regex       - RegExp, or a pattern string matched case-insensitively
+ *   search      - search box syntax (see search-index.js), e.g.
+ *                 'oak type:AddItem qty:>100 after:2h'
+ *   mediaRef    - exact mediaRef, e.g. "item:melvorD:Oak_Logs"
+ *   minQuantity - smallest quantity included (entries without one count as 1)
+ *   action      - context action it happened during, e.g.
+ *                 "skill:melvorD:Woodcutting" or "shop" (see action-context.js)
+ *   offline     - true for offline catch-up only, false to leave it out
+ *   sort        - 'newest' (default), 'oldest' or 'quantity' (largest first)
+ *   limit       - maximum number of results
+ *   offset      - number of results to skip, for paging
+ */
+export class NotificationQuery {
+	/**
+	 * @param {object} criteria
+	 * @param {SearchIndex} [index] - index to run `search` against; without
+	 *   one, messages are matched word by word
+	 */
+	constructor(criteria = {}, index = new SearchIndex()) {
+		this.criteria = criteria;
+		const { types, text, regex, search } = criteria;
+		this.types =
+			types === undefined ? null
+			: Array.isArray(types) ? new Set(types)
+			: new Set([types]);
+		this.text = text ? text.toLowerCase() : null;
+		this.regex =
+			regex instanceof RegExp ? regex
+			: regex ? new RegExp(regex, 'i')
+			: null;
+		this.search = search ? index.search(search) : null;
+		if (this.search?.isEmpty) {
+			this.search = null;
+		}
+	}
+	/**
+	 * Pattern for the search words and phrases, to highlight them
+	 */
+	get highlight() {
+		return this.search?.highlight ?? null;
+	}
+	/**
+	 * True when the search has after:/before: filters, so the same items
+	 * can match differently as time passes
+	 */
+	get isTimed() {
+		return this.search?.timed ?? false;
+	}
+	/**
+	 * True when the criteria filter anything out
+	 */
+	get isFiltering() {
+		const { since, until, mediaRef, minQuantity, action, offline } =
+			this.criteria;
+		return (
+			this.types !== null ||
+			this.text !== null ||
+			this.regex !== null ||
+			this.search !== null ||
+			since !== undefined ||
+			until !== undefined ||
+			mediaRef !== undefined ||
+			minQuantity !== undefined ||
+			action !== undefined ||
+			offline !== undefined
+		);
+	}
+	/**
+	 * Whether a notification meets every criterion, with search
+	 * after:/before: measured from `now`
+	 */
+	matches(n, now = Date.now()) {
+		const { since, until, mediaRef, minQuantity, action, offline } =
+			this.criteria;
+		if (this.types !== null && !this.types.has(n.type)) return false;
+		if (since !== undefined && n.timestamp < since) return false;
+		if (until !== undefined && n.timestamp >= until) return false;
+		if (mediaRef !== undefined && n.mediaRef !== mediaRef) return false;
+		if (minQuantity !== undefined && (n.quantity ?? 1) < minQuantity) {
+			return false;
+		}
+		if (action !== undefined && n.context?.action !== action) return false;
+		if (offline !== undefined && !!n.context?.offline !== offline) {
+			return false;
+		}
+		if (
+			this.text !== null &&
+			!n.message.toLowerCase().includes(this.text)
+		) {
+			return false;
+		}
+		if (this.regex !== null) {
+			// Global/sticky patterns keep state between test() calls
+			this.regex.lastIndex = 0;
+			if (!this.regex.test(n.message)) return false;
+		}
+		if (this.search !== null && !this.search.test(n, now)) return false;
+		return true;
+	}
+	/**
+	 * Matching items in their current order, ignoring sort and paging.
+	 * Returns the same array when nothing is filtered out.
+	 */
+	filter(items, now = Date.now()) {
+		return this.isFiltering ?
+				items.filter((n) => this.matches(n, now))
+			:	items;
+	}
+	/**
+	 * Sorted, paged matches from a newest-first list. Stops scanning once
+	 * the page is full or the time range has been passed.
+	 */
+	run(notifications, now = Date.now()) {
+		const { since, until, sort = 'newest' } = this.criteria;
+		const offset = Math.max(0, this.criteria.offset ?? 0);
+		const limit = this.criteria.limit ?? Infinity;
+		if (sort === 'quantity') {
+			return notifications
+				.filter((n) => this.matches(n, now))
+				.sort((a, b) => (b.quantity ?? 1) - (a.quantity ?? 1))
+				.slice(offset, offset + limit);
+		}
+		const oldestFirst = sort === 'oldest';
+		const count = notifications.length;
+		const results = [];
+		let skipped = 0;
+		for (let i = 0; i < count && results.length < limit; i++) {
+			const n = notifications[oldestFirst ? count - 1 - i : i];
+			// Everything further along is outside the time range
+			const passed =
+				oldestFirst ?
+					until !== undefined && n.timestamp >= until
+				:	since !== undefined && n.timestamp < since;
+			if (passed) break;
+			if (!this.matches(n, now)) continue;
+			if (skipped < offset) {
+				skipped++;
+				continue;
+			}
+			results.push(n);
+		}
+		return results;
+	}
+}
+//# sourceMappingURL=query.js.map
@@ -0,0 +1,90 @@
+/// <reference path="../types/melvor.d.ts" />
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Time-based retention: how long notifications are kept, with optional
+ * per-type overrides. Applied on top of each storage mode's count/size caps.
+ *
+ * Rules are written as comma-separated "Type:days" pairs, where days is a
+ * whole number or "forever", e.g. "Error:30, SkillXP:1, LevelUp:forever".
+ */
+export class RetentionPolicy {
+	/**
+	 * @param {number} defaultDays - days to keep types without a rule (0 = forever)
+	 * @param {Map<string, number>} rules - days per type (0 = forever)
+	 */
+	constructor(defaultDays, rules) {
+		this.defaultDays = defaultDays;
+		this.rules = rules;
+	}
+	/**
+	 * Build the policy from storage settings
+	 */
+	static fromSettings(settings) {
+		let rules;
+		try {
+			rules = this.parseRules(settings.retentionRules);
+		} catch (error) {
+			logger.warn(`Ignoring retention rules: ${error.message}`);
+			rules = new Map();
+		}
+		return new RetentionPolicy(Number(settings.retentionDays) || 0, rules);
+	}
+	/**
+	 * Parse rule text into a type -> days map. Throws on malformed rules.
+	 */
+	static parseRules(text) {
+		const rules = new Map();
+		for (const part of (text ?? '').split(',')) {
+			const rule = part.trim();
+			if (rule === '') continue;
+			const match = /^(\w+)\s*:\s*(\d+|forever)$/i.exec(rule);
+			if (!match) {
+				throw new Error(
+					`"${rule}" is not a rule - use Type:days or Type:forever`,
+				);
+			}
+			const days =
+				match[2].toLowerCase() === 'forever' ? 0 : Number(match[2]);
+			rules.set(match[1], days);
+		}
+		return rules;
+	}
+	/**
+	 * True when nothing ever expires
+	 */
+	get keepsEverything() {
+		return (
+			this.defaultDays === 0 &&
+			[...this.rules.values()].every((days) => days === 0)
+		);
+	}
+	/**
+	 * Oldest timestamp kept for a type, or null to keep it forever
+	 */
+	cutoffFor(type, now) {
+		const days = this.rules.get(type) ?? this.defaultDays;
+		return days > 0 ? now - days * DAY_MS : null;
+	}
+	/**
+	 * Notifications past their retention period. Pinned ones never expire.
+	 */
+	findExpired(notifications, now) {
+		if (this.keepsEverything) {
+			return [];
+		}
+		const cutoffs = new Map();
+		return notifications.filter((n) => {
+			if (n.pinned) {
+				return false;
+			}
+			if (!cutoffs.has(n.type)) {
+				cutoffs.set(n.type, this.cutoffFor(n.type, now));
+			}
+			const cutoff = cutoffs.get(n.type);
+			return cutoff !== null && n.timestamp < cutoff;
+		});
+	}
+}
+RetentionPolicy.CHECK_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+//# sourceMappingURL=retention.js.map
@@ -0,0 +1,79 @@
+/// <reference path="../types/melvor.d.ts" />
+/**
+ * Raised when stored data was written by a newer version of the mod.
+ * Such payloads are refused rather than parsed, and must not be overwritten.
+ */
+export class SchemaVersionError extends Error {
+	constructor(version) {
+		super(
+			`Stored notifications use schema version ${version}, newer than supported version ${SchemaRegistry.currentVersion}`,
+		);
+		this.name = 'SchemaVersionError';
+		this.version = version;
+	}
+}
+
+/**
+ * Registry of storage schema migrations.
+ * Each migration upgrades an array of stored (optimized) notifications from
+ * one version to the next; payloads are upgraded step by step on load.
+ */
+export class SchemaRegistry {
+	/**
+	 * Current schema version - the version written with every save
+	 */
+	static get currentVersion() {
+		return CompressionUtil.VERSION;
+	}
+	/**
+	 * Register the migration from `fromVersion` to `fromVersion + 1`
+	 */
+	static register(fromVersion, description, migrate) {
+		this.migrations.set(fromVersion, { description, migrate });
+	}
+	/**
+	 * Upgrade stored notifications written with `version` to the current
+	 * schema. Payloads without a version predate versioning and are treated
+	 * as version 1.
+	 */
+	static upgrade(stored, version = 1) {
+		const current = this.currentVersion;
+		if (version > current) {
+			throw new SchemaVersionError(version);
+		}
+		let entries = stored;
+		for (let v = version; v < current; v++) {
+			const step = this.migrations.get(v);
+			if (!step) {
+				throw new Error(`No schema migration from version ${v}`);
+			}
+			entries = step.migrate(entries);
+			logger.info(
+				`Upgraded ${entries.length} notifications to schema v${v + 1}: ${step.description}`,
+			);
+		}
+		return entries;
+	}
+}
+SchemaRegistry.migrations = new Map();
+
+// Static media refs that are really currencies
+const LEGACY_CURRENCY_REFS = Object.freeze({
+	'static:coins.png': 'currency:melvorD:GP',
+	'static:slayer_coins.png': 'currency:melvorD:SlayerCoins',
+});
+
+// v1 -> v2: GP and Slayer Coins captured through createGPNotification /
+// createSlayerCoinsNotification used static media refs, while the same
+// currencies captured through createCurrencyNotification used currency refs.
+SchemaRegistry.register(
+	1,
+	'GP/Slayer Coins media refs use currency IDs',
+	(entries) =>
+		entries.map((n) =>
+			LEGACY_CURRENCY_REFS[n.mediaRef] ?
+				{ ...n, mediaRef: LEGACY_CURRENCY_REFS[n.mediaRef] }
+			:	n,
+		),
+);
+//# sourceMappingURL=schema.js.map
@@ -0,0 +1,74 @@
+// Round-trips sample notifications through CompactCodec and JSON, the way
+// the character save stores them, and fails if anything comes back changed.
+import assert from 'node:assert';
+import { readFile } from 'node:fs/promises';
+
+// Just enough of the game for messages to be rebuilt from mediaRefs
+const registry = (names) => ({
+	getObjectByID: (id) => (names[id] ? { name: names[id] } : undefined),
+});
+globalThis.game = {
+	items: registry({ 'melvorD:Oak_Logs': 'Oak Logs' }),
+	currencies: registry({ 'melvorD:GP': 'GP' }),
+	skills: registry({ 'melvorD:Woodcutting': 'Woodcutting' }),
+};
+
+const now = 1760000000000;
+const samples = [
+	// Context but no level: the slots before it must stay absent
+	{
+		id: `${now.toString(36)}-0`,
+		timestamp: now,
+		type: 'AddItem',
+		message: '+5 Oak Logs',
+		quantity: 5,
+		mediaRef: 'item:melvorD:Oak_Logs',
+		context: {
+			action: 'skill:melvorD:Woodcutting',
+			mode: 'melvorD:Standard',
+		},
+	},
+	{
+		id: `${(now - 1000).toString(36)}-0`,
+		timestamp: now - 1000,
+		type: 'LevelUp',
+		message: 'Woodcutting Level 51',
+		mediaRef: 'skill:melvorD:Woodcutting',
+		level: 51,
+		fromLevel: 50,
+		context: { offline: true },
+	},
+	{
+		id: 'custom-id',
+		timestamp: now - 5000,
+		type: 'LootCollected',
+		message: 'Looted 4 items (2 kinds)',
+		quantity: 4,
+		customID: 'loot',
+		pinned: true,
+		area: 'area:melvorD:Farmlands',
+		lines: [
+			['item:melvorD:Oak_Logs', 3],
+			['skill:melvorD:Woodcutting', 12.5, 'XP'],
+		],
+		occurrences: [[now - 6000, 1], [now - 5000]],
+	},
+	{
+		id: `${(now - 9000).toString(36)}-1`,
+		timestamp: now - 9000,
+		type: 'Info',
+		message: 'Nothing optional',
+	},
+];
+
+// The mod's sources are ES modules in a package without "type": "module"
+// (webpack.config.js is CommonJS), so load codec.js as a data: URL, which
+// is always an ES module, rather than have Node sniff its module type
+const source = await readFile(new URL('../codec.js', import.meta.url), 'utf8');
+const { CompactCodec } = await import(
+	`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`
+);
+
+const payload = JSON.parse(JSON.stringify(CompactCodec.encode(samples)));
+assert.deepStrictEqual(CompactCodec.decode(payload), samples);
+console.log(`Codec round trip OK (${samples.length} notifications)`);
@@ -0,0 +1,373 @@
+/// <reference path="../types/melvor.d.ts" />
+// Units accepted by after:/before:, e.g. after:2h
+const DURATION_MS = Object.freeze({
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000,
+	w: 7 * 24 * 60 * 60 * 1000,
+});
+
+// field:value filters on the timestamp, e.g. after:2h
+const TIME_FIELDS = Object.freeze(['after', 'before']);
+
+// field:value filters matched against the mediaRef type, e.g. item:Oak_Logs
+const MEDIA_FIELDS = Object.freeze([
+	'item',
+	'skill',
+	'currency',
+	'mastery',
+	'monster',
+]);
+
+// Query parts: field:value (value may be quoted), "a phrase", or a word
+const QUERY_PART = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+
+/**
+ * Split text into lowercase word tokens
+ */
+function tokenize(text) {
+	return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * Edit distance between two strings, or max + 1 once it is known to
+ * exceed max
+ */
+function editDistance(a, b, max) {
+	if (Math.abs(a.length - b.length) > max) {
+		return max + 1;
+	}
+	let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+			);
+			rowMin = Math.min(rowMin, current[j]);
+		}
+		if (rowMin > max) {
+			return max + 1;
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/**
+ * Whether a search word matches a token: as a prefix, or with up to one
+ * typo (two for words of 8+ letters; none under 4 letters)
+ */
+function wordMatches(word, token) {
+	if (token.startsWith(word)) {
+		return true;
+	}
+	const typos =
+		word.length >= 8 ? 2
+		: word.length >= 4 ? 1
+		: 0;
+	return typos > 0 && editDistance(word, token, typos) <= typos;
+}
+
+/**
+ * Inverted index over notification messages, kept up to date as
+ * notifications are added, changed and removed.
+ *
+ * Search syntax (all parts must match):
+ *   oak          - words starting with "oak", or within a typo or two of it
+ *   "oak logs"   - exact phrase
+ *   type:AddItem - notification type
+ *   item:Oak_Logs, skill:Woodcutting, currency:GP, mastery:Oak, monster:Chicken
+ *                - what the notification is about, by id
+ *   qty:>100     - quantity compared with >, >=, <, <= or = (the default)
+ *   after:2h, before:1d
+ *                - newer/older than a duration ago (s, m, h, d, w) or a date
+ */
+export class SearchIndex {
+	constructor() {
+		this.postings = new Map(); // token -> Set<id>
+		this.tokensOf = new Map(); // id -> tokens
+		// Bumped on every change so searches know to refresh their matches
+		this.version = 0;
+	}
+	/**
+	 * Index all notifications from scratch
+	 */
+	rebuild(notifications) {
+		this.postings.clear();
+		this.tokensOf.clear();
+		this.version++;
+		notifications.forEach((n) => this.add(n));
+	}
+	/**
+	 * Index a notification, replacing any earlier version of it
+	 */
+	add(notification) {
+		this.remove(notification.id);
+		this.version++;
+		const tokens = [...new Set(tokenize(notification.message))];
+		this.tokensOf.set(notification.id, tokens);
+		for (const token of tokens) {
+			let ids = this.postings.get(token);
+			if (!ids) {
+				ids = new Set();
+				this.postings.set(token, ids);
+			}
+			ids.add(notification.id);
+		}
+	}
+	remove(id) {
+		const tokens = this.tokensOf.get(id);
+		if (!tokens) return;
+		this.version++;
+		this.tokensOf.delete(id);
+		for (const token of tokens) {
+			const ids = this.postings.get(token);
+			ids.delete(id);
+			if (ids.size === 0) {
+				this.postings.delete(token);
+			}
+		}
+	}
+	has(id) {
+		return this.tokensOf.has(id);
+	}
+	/**
+	 * Indexed tokens a search word matches: by prefix, or within the
+	 * allowed number of typos
+	 */
+	expand(word) {
+		return [...this.postings.keys()].filter((token) =>
+			wordMatches(word, token),
+		);
+	}
+	/**
+	 * Parse a search string into a matcher
+	 */
+	search(text) {
+		return new SearchMatch(this, SearchIndex.parse(text));
+	}
+	/**
+	 * Split a search string into words, phrases and field filters.
+	 * Unknown fields and unreadable values are searched for as text.
+	 */
+	static parse(text) {
+		const parsed = { words: [], phrases: [], filters: [], timed: false };
+		for (const [, field, rawValue, phrase, word] of text.matchAll(
+			QUERY_PART,
+		)) {
+			if (word !== undefined && /^\w+:$/.test(word)) {
+				continue; // A field filter still being typed
+			}
+			if (phrase !== undefined) {
+				const tokens = tokenize(phrase);
+				if (tokens.length > 0) parsed.phrases.push(tokens);
+				continue;
+			}
+			const filter =
+				field !== undefined ?
+					this.parseFilter(
+						field.toLowerCase(),
+						rawValue.replace(/^"|"$/g, ''),
+					)
+				:	null;
+			if (filter) {
+				parsed.filters.push(filter);
+				parsed.timed ||= TIME_FIELDS.includes(field.toLowerCase());
+			} else {
+				parsed.words.push(...tokenize(word ?? `${field} ${rawValue}`));
+			}
+		}
+		return parsed;
+	}
+	/**
+	 * Predicate (notification, now) for a field:value part, or null if it
+	 * is not a filter
+	 */
+	static parseFilter(field, value) {
+		if (field === 'type') {
+			const type = value.toLowerCase();
+			return (n) => n.type.toLowerCase() === type;
+		}
+		if (MEDIA_FIELDS.includes(field)) {
+			const id = value.toLowerCase();
+			return (n) => {
+				if (!n.mediaRef?.startsWith(`${field}:`)) return false;
+				// Match the full id or just the part after the namespace
+				const fullId = n.mediaRef
+					.substring(field.length + 1)
+					.toLowerCase();
+				return fullId === id || fullId.split(':').pop() === id;
+			};
+		}
+		if (field === 'qty') {
+			const match = /^(>=|<=|>|<|=)?(-?\d+(?:\.\d+)?)([kmb]?)$/i.exec(
+				value,
+			);
+			if (!match) return null;
+			const scale = { '': 1, k: 1e3, m: 1e6, b: 1e9 }[
+				match[3].toLowerCase()
+			];
+			const target = Number(match[2]) * scale;
+			const compare = {
+				'>': (q) => q > target,
+				'>=': (q) => q >= target,
+				'<': (q) => q < target,
+				'<=': (q) => q <= target,
+				'=': (q) => q === target,
+			}[match[1] ?? '='];
+			return (n) => compare(n.quantity ?? 1);
+		}
+		if (TIME_FIELDS.includes(field)) {
+			const time = this.parseTime(value);
+			if (time === null) return null;
+			return field === 'after' ?
+					(n, now) => n.timestamp >= time(now)
+				:	(n, now) => n.timestamp < time(now);
+		}
+		return null;
+	}
+	/**
+	 * Timestamp for "2h" (that long before `now`) or a date, as a function
+	 * of now, or null
+	 */
+	static parseTime(value) {
+		const duration = /^(\d+(?:\.\d+)?)([smhdw])$/i.exec(value);
+		if (duration) {
+			const ago =
+				Number(duration[1]) * DURATION_MS[duration[2].toLowerCase()];
+			return (now) => now - ago;
+		}
+		const date = Date.parse(value);
+		return Number.isNaN(date) ? null : () => date;
+	}
+}
+
+/**
+ * A parsed search, tested against notifications
+ */
+class SearchMatch {
+	constructor(index, { words, phrases, filters, timed }) {
+		this.index = index;
+		this.words = words;
+		this.phrases = phrases;
+		this.filters = filters;
+		// Has after:/before: filters, so matches can change as time passes
+		this.timed = timed;
+		this.refresh();
+	}
+	/**
+	 * Match against the index as it is now
+	 */
+	refresh() {
+		this.version = this.index.version;
+		// Indexed tokens each word matched
+		this.expansions = this.words.map(
+			(word) => new Set(this.index.expand(word)),
+		);
+		this.ids = this.findIds();
+		this.highlight = this.buildHighlight();
+	}
+	/**
+	 * True when the search has no parts at all
+	 */
+	get isEmpty() {
+		return (
+			this.words.length === 0 &&
+			this.phrases.length === 0 &&
+			this.filters.length === 0
+		);
+	}
+	/**
+	 * Ids of indexed notifications containing every word and phrase
+	 * token, or null when there are no words or phrases
+	 */
+	findIds() {
+		const groups = [
+			...this.expansions.map((tokens) => [...tokens]),
+			...this.phrases.flat().map((token) => [token]),
+		];
+		if (groups.length === 0) {
+			return null;
+		}
+		let ids = null;
+		for (const tokens of groups) {
+			const union = new Set();
+			for (const token of tokens) {
+				this.index.postings.get(token)?.forEach((id) => union.add(id));
+			}
+			if (ids === null) {
+				ids = union;
+			} else {
+				ids = new Set([...ids].filter((id) => union.has(id)));
+			}
+			if (ids.size === 0) break;
+		}
+		return ids;
+	}
+	/**
+	 * Whether a notification matches, with after:/before: measured from
+	 * `now`
+	 */
+	test(n, now = Date.now()) {
+		if (this.version !== this.index.version) {
+			this.refresh();
+		}
+		if (this.ids !== null) {
+			if (this.index.has(n.id)) {
+				if (!this.ids.has(n.id)) return false;
+			} else if (!this.matchesWords(tokenize(n.message))) {
+				// Not indexed (e.g. in the trash) - matched word by word
+				return false;
+			}
+		}
+		if (this.phrases.length > 0) {
+			// Padded so phrases only match whole words
+			const text = ` ${tokenize(n.message).join(' ')} `;
+			const found = this.phrases.every((phrase) =>
+				text.includes(` ${phrase.join(' ')} `),
+			);
+			if (!found) return false;
+		}
+		return this.filters.every((filter) => filter(n, now));
+	}
+	matchesWords(tokens) {
+		return (
+			this.words.every((word) =>
+				tokens.some((token) => wordMatches(word, token)),
+			) && this.phrases.flat().every((token) => tokens.includes(token))
+		);
+	}
+	/**
+	 * Pattern matching the words and phrases in a message, for
+	 * highlighting, or null when there is nothing to highlight
+	 */
+	buildHighlight() {
+		const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		const alternatives = [
+			...this.phrases.map((tokens) =>
+				tokens.map(escape).join('[^\\p{L}\\p{N}]+'),
+			),
+			...this.expansions.flatMap((tokens) =>
+				[...tokens].map(
+					(token) => `${escape(token)}(?![\\p{L}\\p{N}])`,
+				),
+			),
+			// Prefixes of words not (yet) in the index
+			...this.words.map(escape),
+		];
+		if (alternatives.length === 0) {
+			return null;
+		}
+		alternatives.sort((a, b) => b.length - a.length);
+		return new RegExp(
+			`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`,
+			'giu',
+		);
+	}
+}
+//# sourceMappingURL=search-index.js.map
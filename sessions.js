@@ -0,0 +1,92 @@
+/// <reference path="../types/melvor.d.ts" />
+// Activity gap after which the next event starts a new session
+const IDLE_GAP_MS = 30 * 60 * 1000;
+
+/**
+ * Play sessions: from the character loading until the page is left, hidden
+ * or idle for longer than IDLE_GAP_MS.
+ *
+ * Stored as [{ id, character, start, end }], newest first. `end` is the
+ * last time the session was seen active, so a session cut short by a crash
+ * still ends at its last event.
+ */
+export class SessionLog {
+	constructor(entries) {
+		this.entries = Array.isArray(entries) ? entries : [];
+		// Session this page is recording, or null until a character loads
+		this.current = null;
+	}
+	/**
+	 * Start recording a new session
+	 */
+	start(character, now = Date.now()) {
+		// Sessions started in the same millisecond get a sequence suffix
+		let id = now.toString(36);
+		for (let n = 1; this.get(id); n++) {
+			id = `${now.toString(36)}-${n}`;
+		}
+		this.current = {
+			id,
+			character,
+			start: now,
+			end: now,
+		};
+		this.entries = [this.current, ...this.entries].slice(
+			0,
+			SessionLog.MAX_SESSIONS,
+		);
+		return this.current;
+	}
+	/**
+	 * Extend the current session to `now`, or start a new one for the same
+	 * character after an idle gap. Returns true if anything changed.
+	 */
+	touch(now = Date.now()) {
+		if (!this.current) {
+			return false;
+		}
+		if (now - this.current.end > IDLE_GAP_MS) {
+			this.start(this.current.character, now);
+		} else {
+			this.current.end = Math.max(this.current.end, now);
+		}
+		return true;
+	}
+	/**
+	 * Keep recording a session started before the log was reloaded
+	 */
+	resume(session) {
+		this.entries = [
+			session,
+			...this.entries.filter((s) => s.id !== session.id),
+		];
+		this.current = session;
+	}
+	get(id) {
+		return this.entries.find((s) => s.id === id) ?? null;
+	}
+	/**
+	 * The session before the current one
+	 */
+	get previous() {
+		return this.entries.find((s) => s !== this.current) ?? null;
+	}
+	/**
+	 * since/until query criteria covering a session. The current session
+	 * is open-ended.
+	 */
+	rangeOf(session) {
+		return session === this.current ?
+				{ since: session.start }
+			:	{ since: session.start, until: session.end + 1 };
+	}
+	get size() {
+		return this.entries.length;
+	}
+	toJSON() {
+		return this.entries;
+	}
+}
+SessionLog.IDLE_GAP_MS = IDLE_GAP_MS;
+SessionLog.MAX_SESSIONS = 100;
+//# sourceMappingURL=sessions.js.map
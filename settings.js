@@ -3,14 +3,20 @@
 const SETTINGS_KEYS = {
 	// UI
 	SHOW_MINIBAR_ICON: 'showMinibarIcon',
+	USE_COMPRESSION_WORKER: 'useCompressionWorker',
 	// Storage
 	STORAGE_MODE: 'storageMode',
 	CHARACTER_SAVE_TYPE: 'characterSaveType',
 	CHARACTER_SAVE_PERCENTAGE: 'characterSavePercentage',
 	CHARACTER_SAVE_LINE_COUNT: 'characterSaveLineCount',
 	LOCAL_STORAGE_LINE_COUNT: 'localStorageLineCount',
+	RETENTION_DAYS: 'retentionDays',
+	RETENTION_RULES: 'retentionRules',
+	TRASH_RETENTION_DAYS: 'trashRetentionDays',
 	// Capture
 	CAPTURE_ENABLED: 'captureEnabled',
+	CAPTURE_LEDGER: 'captureLedger',
+	CAPTURE_OFFLINE_PROGRESS: 'captureOfflineProgress',
 	CAPTURE_ERRORS: 'captureErrors',
 	CAPTURE_SUCCESS: 'captureSuccess',
 	CAPTURE_INFO: 'captureInfo',
@@ -26,9 +32,19 @@ const SETTINGS_KEYS = {
 	CAPTURE_ABYSSAL_XP: 'captureAbyssalXP',
 	CAPTURE_MASTERY_LEVEL: 'captureMasteryLevel',
 	CAPTURE_SUMMONING_MARKS: 'captureSummoningMarks',
+	CAPTURE_LEVEL_UPS: 'captureLevelUps',
+	CAPTURE_ABYSSAL_LEVEL_UPS: 'captureAbyssalLevelUps',
+	CAPTURE_MONSTER_KILLS: 'captureMonsterKills',
+	CAPTURE_PLAYER_DEATHS: 'capturePlayerDeaths',
+	CAPTURE_DUNGEON_COMPLETIONS: 'captureDungeonCompletions',
+	CAPTURE_STRONGHOLD_COMPLETIONS: 'captureStrongholdCompletions',
+	CAPTURE_DEPTH_COMPLETIONS: 'captureDepthCompletions',
+	CAPTURE_LOOT_COLLECTED: 'captureLootCollected',
 	// Display
 	GROUP_SIMILAR_TIME_WINDOW: 'groupSimilarTimeWindow',
+	GROUPING_RULES: 'groupingRules',
 	TIMESTAMP_FORMAT: 'timestampFormat',
+	SCROLL_TO_UNREAD: 'scrollToUnread',
 };
 // Module-level variables
 let generalSection;
@@ -37,6 +53,9 @@ let captureSection;
 let displaySection;
 // Map of setting key to its section for O(1) lookup
 const settingToSection = new Map();
+// Storage modes that write (part of) the history to the character save
+const usesCharacterSave = (storageMode) =>
+	storageMode === 'character-save' || storageMode.startsWith('hybrid-');
 /**
  * Settings Manager
  */
@@ -69,6 +88,10 @@ export class SettingsManager {
 	buildSettingMap() {
 		// General settings
 		settingToSection.set(SETTINGS_KEYS.SHOW_MINIBAR_ICON, generalSection);
+		settingToSection.set(
+			SETTINGS_KEYS.USE_COMPRESSION_WORKER,
+			generalSection,
+		);
 		// Storage settings
 		settingToSection.set(SETTINGS_KEYS.STORAGE_MODE, storageSection);
 		settingToSection.set(SETTINGS_KEYS.CHARACTER_SAVE_TYPE, storageSection);
@@ -84,8 +107,19 @@ export class SettingsManager {
 			SETTINGS_KEYS.LOCAL_STORAGE_LINE_COUNT,
 			storageSection,
 		);
+		settingToSection.set(SETTINGS_KEYS.RETENTION_DAYS, storageSection);
+		settingToSection.set(SETTINGS_KEYS.RETENTION_RULES, storageSection);
+		settingToSection.set(
+			SETTINGS_KEYS.TRASH_RETENTION_DAYS,
+			storageSection,
+		);
 		// Capture settings
 		settingToSection.set(SETTINGS_KEYS.CAPTURE_ENABLED, captureSection);
+		settingToSection.set(SETTINGS_KEYS.CAPTURE_LEDGER, captureSection);
+		settingToSection.set(
+			SETTINGS_KEYS.CAPTURE_OFFLINE_PROGRESS,
+			captureSection,
+		);
 		settingToSection.set(SETTINGS_KEYS.CAPTURE_ERRORS, captureSection);
 		settingToSection.set(SETTINGS_KEYS.CAPTURE_SUCCESS, captureSection);
 		settingToSection.set(SETTINGS_KEYS.CAPTURE_INFO, captureSection);
@@ -122,12 +156,43 @@ export class SettingsManager {
 			SETTINGS_KEYS.CAPTURE_SUMMONING_MARKS,
 			captureSection,
 		);
+		settingToSection.set(SETTINGS_KEYS.CAPTURE_LEVEL_UPS, captureSection);
+		settingToSection.set(
+			SETTINGS_KEYS.CAPTURE_ABYSSAL_LEVEL_UPS,
+			captureSection,
+		);
+		settingToSection.set(
+			SETTINGS_KEYS.CAPTURE_MONSTER_KILLS,
+			captureSection,
+		);
+		settingToSection.set(
+			SETTINGS_KEYS.CAPTURE_PLAYER_DEATHS,
+			captureSection,
+		);
+		settingToSection.set(
+			SETTINGS_KEYS.CAPTURE_DUNGEON_COMPLETIONS,
+			captureSection,
+		);
+		settingToSection.set(
+			SETTINGS_KEYS.CAPTURE_STRONGHOLD_COMPLETIONS,
+			captureSection,
+		);
+		settingToSection.set(
+			SETTINGS_KEYS.CAPTURE_DEPTH_COMPLETIONS,
+			captureSection,
+		);
+		settingToSection.set(
+			SETTINGS_KEYS.CAPTURE_LOOT_COLLECTED,
+			captureSection,
+		);
 		// Display settings
 		settingToSection.set(
 			SETTINGS_KEYS.GROUP_SIMILAR_TIME_WINDOW,
 			displaySection,
 		);
+		settingToSection.set(SETTINGS_KEYS.GROUPING_RULES, displaySection);
 		settingToSection.set(SETTINGS_KEYS.TIMESTAMP_FORMAT, displaySection);
+		settingToSection.set(SETTINGS_KEYS.SCROLL_TO_UNREAD, displaySection);
 	}
 	/**
 	 * Initialize general UI settings
@@ -143,6 +208,16 @@ export class SettingsManager {
 				logger.debug(`Show Minibar Icon changed to: ${value}`);
 			},
 		});
+		generalSection.add({
+			type: 'switch',
+			name: SETTINGS_KEYS.USE_COMPRESSION_WORKER,
+			label: 'Background Compression',
+			hint: 'Compress saves on a background worker so large histories do not stall the game (requires page reload)',
+			default: true,
+			onChange: (value) => {
+				logger.debug(`Background Compression changed to: ${value}`);
+			},
+		});
 	}
 	/**
 	 * Initialize storage settings - each as custom rendered with conditional visibility
@@ -157,10 +232,24 @@ export class SettingsManager {
 			default: 'local-storage',
 			options: [
 				{ value: 'local-storage', display: 'Browser Local Storage' },
+				{
+					value: 'indexed-db',
+					display: 'Browser IndexedDB (Unlimited)',
+				},
 				{
 					value: 'character-save',
 					display: 'Character Save (Cloud Sync, 8KB limit)',
 				},
+				{
+					value: 'hybrid-local-storage',
+					display:
+						'Hybrid: recent in Character Save, full history in Local Storage',
+				},
+				{
+					value: 'hybrid-indexed-db',
+					display:
+						'Hybrid: recent in Character Save, full history in IndexedDB',
+				},
 				{
 					value: 'memory-only',
 					display: 'Memory Only (Lost on reload)',
@@ -178,7 +267,7 @@ export class SettingsManager {
 		});
 		// Add to map immediately so getSetting() works for subsequent settings
 		settingToSection.set(SETTINGS_KEYS.STORAGE_MODE, storageSection);
-		// Character Save Type - only visible when storageMode === 'character-save'
+		// Character Save Type - only visible when the character save is used
 		this.addConditionalStorageSetting(
 			SETTINGS_KEYS.CHARACTER_SAVE_TYPE,
 			'Character Save Type',
@@ -189,8 +278,7 @@ export class SettingsManager {
 				{ value: 'percentage', display: 'Percentage-based (default)' },
 				{ value: 'line-count', display: 'Line count limit' },
 			],
-			(storageMode, characterSaveType) =>
-				storageMode === 'character-save',
+			(storageMode, characterSaveType) => usesCharacterSave(storageMode),
 		);
 		// Character Save Percentage - only visible when characterSaveType === 'percentage'
 		this.addConditionalStorageSetting(
@@ -201,7 +289,7 @@ export class SettingsManager {
 			20,
 			{ min: 10, max: 100 },
 			(storageMode, characterSaveType) =>
-				storageMode === 'character-save' &&
+				usesCharacterSave(storageMode) &&
 				characterSaveType === 'percentage',
 		);
 		// Character Save Line Count - only visible when characterSaveType === 'line-count'
@@ -218,10 +306,10 @@ export class SettingsManager {
 				{ value: 100, display: '100 lines' },
 			],
 			(storageMode, characterSaveType) =>
-				storageMode === 'character-save' &&
+				usesCharacterSave(storageMode) &&
 				characterSaveType === 'line-count',
 		);
-		// Local Storage Line Count - only visible when storageMode === 'local-storage'
+		// Local Storage Line Count - only visible when local storage is used
 		this.addConditionalStorageSetting(
 			SETTINGS_KEYS.LOCAL_STORAGE_LINE_COUNT,
 			'Local Storage Line Count',
@@ -237,8 +325,93 @@ export class SettingsManager {
 				{ value: 5000, display: '5000 lines' },
 				{ value: 10000, display: '10000 lines' },
 			],
-			(storageMode, characterSaveType) => storageMode === 'local-storage',
+			(storageMode, characterSaveType) =>
+				storageMode === 'local-storage' ||
+				storageMode === 'hybrid-local-storage',
 		);
+		// Retention - applies to every mode, on top of its limits
+		storageSection.add({
+			type: 'dropdown',
+			name: SETTINGS_KEYS.RETENTION_DAYS,
+			label: 'Keep History For',
+			hint: 'Delete notifications older than this, in addition to the storage limits above',
+			default: 0,
+			options: [
+				{ value: 1, display: '1 day' },
+				{ value: 7, display: '7 days' },
+				{ value: 30, display: '30 days' },
+				{ value: 90, display: '90 days' },
+				{ value: 365, display: '1 year' },
+				{ value: 0, display: 'Forever' },
+			],
+			onChange: (value) => {
+				logger.debug(`Retention changed to: ${value} days`);
+				document.dispatchEvent(
+					new CustomEvent(
+						'activity-monitor-storage-setting-changed',
+						{
+							detail: {
+								key: SETTINGS_KEYS.RETENTION_DAYS,
+								value,
+							},
+						},
+					),
+				);
+			},
+		});
+		storageSection.add({
+			type: 'text',
+			name: SETTINGS_KEYS.RETENTION_RULES,
+			label: 'Retention Per Type',
+			hint: 'Override how long to keep specific types, e.g. "Error:30, SkillXP:1, LevelUp:forever"',
+			default: '',
+			maxLength: 500,
+			onChange: (value) => {
+				try {
+					RetentionPolicy.parseRules(value);
+				} catch (error) {
+					return error.message;
+				}
+				logger.debug(`Retention rules changed to: ${value}`);
+				document.dispatchEvent(
+					new CustomEvent(
+						'activity-monitor-storage-setting-changed',
+						{
+							detail: {
+								key: SETTINGS_KEYS.RETENTION_RULES,
+								value,
+							},
+						},
+					),
+				);
+			},
+		});
+		storageSection.add({
+			type: 'dropdown',
+			name: SETTINGS_KEYS.TRASH_RETENTION_DAYS,
+			label: 'Keep Deleted For',
+			hint: 'How long deleted notifications stay in the trash before they are gone for good',
+			default: 7,
+			options: [
+				{ value: 1, display: '1 day' },
+				{ value: 7, display: '7 days' },
+				{ value: 30, display: '30 days' },
+			],
+			onChange: (value) => {
+				logger.debug(`Trash retention changed to: ${value} days`);
+				document.dispatchEvent(
+					new CustomEvent(
+						'activity-monitor-storage-setting-changed',
+						{
+							detail: {
+								key: SETTINGS_KEYS.TRASH_RETENTION_DAYS,
+								value,
+							},
+						},
+					),
+				);
+			},
+		});
 	}
 	/**
 	 * Add a conditional storage setting with custom rendering for visibility control
@@ -454,6 +627,18 @@ export class SettingsManager {
 				);
 			},
 		});
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_LEDGER,
+			'Capture Without Game Popups',
+			true,
+			'Record bank, currency and XP changes straight from the game, even when its popups are turned off or skipped. Changes that also show a popup are only recorded once.',
+		);
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_OFFLINE_PROGRESS,
+			'Summarize Offline Progress',
+			true,
+			'Record the XP, kills, items and currencies from offline time as one summary entry instead of thousands of separate ones',
+		);
 		// General notification types
 		this.addCaptureToggle(
 			SETTINGS_KEYS.CAPTURE_ERRORS,
@@ -528,6 +713,49 @@ export class SettingsManager {
 			'Summoning Marks',
 			true,
 		);
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_LEVEL_UPS,
+			'Skill Level Ups',
+			true,
+		);
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_ABYSSAL_LEVEL_UPS,
+			'Abyssal Level Ups',
+			true,
+		);
+		// Combat
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_MONSTER_KILLS,
+			'Monster Kills',
+			true,
+		);
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_PLAYER_DEATHS,
+			'Player Deaths',
+			true,
+			'Includes the items lost',
+		);
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_DUNGEON_COMPLETIONS,
+			'Dungeon Completions',
+			true,
+		);
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_STRONGHOLD_COMPLETIONS,
+			'Stronghold Completions',
+			true,
+		);
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_DEPTH_COMPLETIONS,
+			'Abyssal Depth Completions',
+			true,
+		);
+		this.addCaptureToggle(
+			SETTINGS_KEYS.CAPTURE_LOOT_COLLECTED,
+			'Loot Collected',
+			true,
+			'Items taken from the combat loot container',
+		);
 	}
 	/**
 	 * Helper to add a capture toggle setting
@@ -588,6 +816,33 @@ export class SettingsManager {
 				);
 			},
 		});
+		displaySection.add({
+			type: 'text',
+			name: SETTINGS_KEYS.GROUPING_RULES,
+			label: 'Grouping Per Type',
+			hint: 'How to group specific types, e.g. "Error:never, SkillXP:item" (auto, item, item+action, item+source, message or never)',
+			default: '',
+			maxLength: 500,
+			onChange: (value) => {
+				try {
+					GroupingPolicy.parseRules(value);
+				} catch (error) {
+					return error.message;
+				}
+				logger.debug(`Grouping rules changed to: ${value}`);
+				document.dispatchEvent(
+					new CustomEvent(
+						'activity-monitor-display-setting-changed',
+						{
+							detail: {
+								key: SETTINGS_KEYS.GROUPING_RULES,
+								value,
+							},
+						},
+					),
+				);
+			},
+		});
 		displaySection.add({
 			type: 'dropdown',
 			name: SETTINGS_KEYS.TIMESTAMP_FORMAT,
@@ -613,6 +868,16 @@ export class SettingsManager {
 				);
 			},
 		});
+		displaySection.add({
+			type: 'switch',
+			name: SETTINGS_KEYS.SCROLL_TO_UNREAD,
+			label: 'Scroll To Unread',
+			hint: 'When opening the panel, scroll to the oldest unread notification',
+			default: true,
+			onChange: (value) => {
+				logger.debug(`Scroll to unread changed to: ${value}`);
+			},
+		});
 	}
 	/**
 	 * Get a setting value using direct O(1) map lookup
@@ -647,6 +912,9 @@ export class SettingsManager {
 		return {
 			// UI
 			showMinibarIcon: this.getSetting(SETTINGS_KEYS.SHOW_MINIBAR_ICON),
+			useCompressionWorker: this.getSetting(
+				SETTINGS_KEYS.USE_COMPRESSION_WORKER,
+			),
 			// Storage
 			storageMode: this.getSetting(SETTINGS_KEYS.STORAGE_MODE),
 			characterSaveType: this.getSetting(
@@ -661,8 +929,17 @@ export class SettingsManager {
 			localStorageLineCount: this.getSetting(
 				SETTINGS_KEYS.LOCAL_STORAGE_LINE_COUNT,
 			),
+			retentionDays: this.getSetting(SETTINGS_KEYS.RETENTION_DAYS),
+			retentionRules: this.getSetting(SETTINGS_KEYS.RETENTION_RULES),
+			trashRetentionDays: this.getSetting(
+				SETTINGS_KEYS.TRASH_RETENTION_DAYS,
+			),
 			// Capture
 			captureEnabled: this.getSetting(SETTINGS_KEYS.CAPTURE_ENABLED),
+			captureLedger: this.getSetting(SETTINGS_KEYS.CAPTURE_LEDGER),
+			captureOfflineProgress: this.getSetting(
+				SETTINGS_KEYS.CAPTURE_OFFLINE_PROGRESS,
+			),
 			captureErrors: this.getSetting(SETTINGS_KEYS.CAPTURE_ERRORS),
 			captureSuccess: this.getSetting(SETTINGS_KEYS.CAPTURE_SUCCESS),
 			captureInfo: this.getSetting(SETTINGS_KEYS.CAPTURE_INFO),
@@ -694,11 +971,35 @@ export class SettingsManager {
 			captureSummoningMarks: this.getSetting(
 				SETTINGS_KEYS.CAPTURE_SUMMONING_MARKS,
 			),
+			captureLevelUps: this.getSetting(SETTINGS_KEYS.CAPTURE_LEVEL_UPS),
+			captureAbyssalLevelUps: this.getSetting(
+				SETTINGS_KEYS.CAPTURE_ABYSSAL_LEVEL_UPS,
+			),
+			captureMonsterKills: this.getSetting(
+				SETTINGS_KEYS.CAPTURE_MONSTER_KILLS,
+			),
+			capturePlayerDeaths: this.getSetting(
+				SETTINGS_KEYS.CAPTURE_PLAYER_DEATHS,
+			),
+			captureDungeonCompletions: this.getSetting(
+				SETTINGS_KEYS.CAPTURE_DUNGEON_COMPLETIONS,
+			),
+			captureStrongholdCompletions: this.getSetting(
+				SETTINGS_KEYS.CAPTURE_STRONGHOLD_COMPLETIONS,
+			),
+			captureDepthCompletions: this.getSetting(
+				SETTINGS_KEYS.CAPTURE_DEPTH_COMPLETIONS,
+			),
+			captureLootCollected: this.getSetting(
+				SETTINGS_KEYS.CAPTURE_LOOT_COLLECTED,
+			),
 			// Display
 			groupSimilarTimeWindow: this.getSetting(
 				SETTINGS_KEYS.GROUP_SIMILAR_TIME_WINDOW,
 			),
+			groupingRules: this.getSetting(SETTINGS_KEYS.GROUPING_RULES),
 			timestampFormat: this.getSetting(SETTINGS_KEYS.TIMESTAMP_FORMAT),
+			scrollToUnread: this.getSetting(SETTINGS_KEYS.SCROLL_TO_UNREAD),
 		};
 	}
 }
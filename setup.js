@@ -59,20 +59,71 @@ export async function setup(ctx) {
 	logger.info(`Debug mode: ${config.debug}`);
 	// Load modules
 	const compressionModule = await ctx.loadModule('compression.js');
+	const codecModule = await ctx.loadModule('codec.js');
+	const idbModule = await ctx.loadModule('idb.js');
+	const schemaModule = await ctx.loadModule('schema.js');
+	const retentionModule = await ctx.loadModule('retention.js');
+	const aggregatesModule = await ctx.loadModule('aggregates.js');
+	const trashModule = await ctx.loadModule('trash.js');
+	const queryModule = await ctx.loadModule('query.js');
+	const searchIndexModule = await ctx.loadModule('search-index.js');
+	const groupingModule = await ctx.loadModule('grouping.js');
+	const sessionsModule = await ctx.loadModule('sessions.js');
+	const transferModule = await ctx.loadModule('transfer.js');
 	const settingsModule = await ctx.loadModule('settings.js');
+	const actionContextModule = await ctx.loadModule('action-context.js');
+	const offlineSummaryModule = await ctx.loadModule('offline-summary.js');
 	const captureModule = await ctx.loadModule('capture.js');
+	const ledgerModule = await ctx.loadModule('ledger.js');
+	const combatCaptureModule = await ctx.loadModule('combat-capture.js');
+	const storageAdaptersModule = await ctx.loadModule('storage-adapters.js');
 	const storageModule = await ctx.loadModule('storage.js');
 	const uiModule = await ctx.loadModule('ui/index.js');
 	// Expose CompressionUtil globally for storage module
 	globalThis.CompressionUtil = compressionModule.CompressionUtil;
+	// Expose the compact codec globally for storage backends
+	globalThis.CompactCodec = codecModule.CompactCodec;
+	// Expose NotificationDB globally for the IndexedDB storage mode
+	globalThis.NotificationDB = idbModule.NotificationDB;
+	// Expose schema migrations globally for storage backends
+	globalThis.SchemaRegistry = schemaModule.SchemaRegistry;
+	// Expose retention rules globally for storage module
+	globalThis.RetentionPolicy = retentionModule.RetentionPolicy;
+	// Expose rolled-up totals globally for storage module
+	globalThis.AggregateStore = aggregatesModule.AggregateStore;
+	// Expose the trash globally for storage module
+	globalThis.TrashBin = trashModule.TrashBin;
+	// Expose notification filters globally for storage module and panel
+	globalThis.NotificationQuery = queryModule.NotificationQuery;
+	// Expose the full-text search index globally for storage module
+	globalThis.SearchIndex = searchIndexModule.SearchIndex;
+	// Expose grouping rules globally for storage module and settings
+	globalThis.GroupingPolicy = groupingModule.GroupingPolicy;
+	// Expose the session log globally for storage module
+	globalThis.SessionLog = sessionsModule.SessionLog;
+	// Expose action attribution globally for capture modules
+	globalThis.ActionContext = actionContextModule.ActionContext;
+	// Expose offline progress totals globally for capture module
+	globalThis.OfflineSummary = offlineSummaryModule.OfflineSummary;
+	// Expose export/import formats globally for storage module
+	globalThis.HistoryTransfer = transferModule.HistoryTransfer;
+	// Expose storage backends globally for storage module
+	globalThis.StorageAdapters = storageAdaptersModule;
 	logger.info('Core modules loaded');
 	// Initialize settings system
 	const settingsManager = settingsModule.initializeSettings(ctx);
 	logger.info('Settings system initialized');
 	// Get settings for initialization
 	const allSettings = settingsManager.getAllSettings();
+	// Move compression off the main thread once the worker answers; capture
+	// does not wait for it, saves compress in-thread until then
+	if (allSettings.useCompressionWorker !== false) {
+		CompressionUtil.enableWorker(ctx);
+	}
 	const captureSettings = {
 		captureEnabled: allSettings.captureEnabled,
+		captureLedger: allSettings.captureLedger,
+		captureOfflineProgress: allSettings.captureOfflineProgress,
 		captureErrors: allSettings.captureErrors,
 		captureSuccess: allSettings.captureSuccess,
 		captureInfo: allSettings.captureInfo,
@@ -88,9 +139,19 @@ export async function setup(ctx) {
 		captureAbyssalXP: allSettings.captureAbyssalXP,
 		captureMasteryLevel: allSettings.captureMasteryLevel,
 		captureSummoningMarks: allSettings.captureSummoningMarks,
+		captureLevelUps: allSettings.captureLevelUps,
+		captureAbyssalLevelUps: allSettings.captureAbyssalLevelUps,
+		captureMonsterKills: allSettings.captureMonsterKills,
+		capturePlayerDeaths: allSettings.capturePlayerDeaths,
+		captureDungeonCompletions: allSettings.captureDungeonCompletions,
+		captureStrongholdCompletions: allSettings.captureStrongholdCompletions,
+		captureDepthCompletions: allSettings.captureDepthCompletions,
+		captureLootCollected: allSettings.captureLootCollected,
 	};
 	// Create instances
 	const capture = new captureModule.NotificationCapture(captureSettings);
+	const ledger = new ledgerModule.LedgerCapture(capture);
+	const combatCapture = new combatCaptureModule.CombatCapture(capture);
 	const storage = new storageModule.StorageManager(ctx);
 	logger.info('Module instances created');
 	// Setup settings listeners for real-time updates
@@ -110,6 +171,8 @@ export async function setup(ctx) {
 			storage._invalidateSettingsCache();
 
 			await storage.load();
+			storage.startSession(game.characterName);
+			storage.startRetentionSchedule();
 			const stats = await storage.getStats();
 			logger.info(
 				`Loaded notifications - Count: ${stats.count}, Unread: ${stats.unreadCount}`,
@@ -118,6 +181,11 @@ export async function setup(ctx) {
 				`Storage stats - Compressed: ${(stats.compressedSize / 1024).toFixed(2)}KB, Ratio: ${stats.compressionRatio.toFixed(1)}%`,
 			);
 			logger.info(`Estimated max count: ${stats.estimatedMaxCount}`);
+			if (stats.budgetBytes !== undefined) {
+				logger.info(
+					`Size budget - Written: ${stats.writtenBytes} of ${stats.budgetBytes} bytes`,
+				);
+			}
 			// Notify the panel so it refreshes with the loaded notifications.
 			// The panel is created by onInterfaceReady (which fires before
 			// onCharacterLoaded), so its initial render reads empty storage.
@@ -131,6 +199,16 @@ export async function setup(ctx) {
 		}
 	});
 	logger.info('Character load handler registered');
+	// Close the session's activity when the page is hidden or left; coming
+	// back within the idle gap carries on the same session
+	document.addEventListener('visibilitychange', () => {
+		if (document.visibilityState === 'hidden') {
+			storage.endSession();
+		} else {
+			storage.touchSession();
+		}
+	});
+	window.addEventListener('pagehide', () => storage.endSession());
 	// Set up notification capture patches immediately (game classes are available)
 	try {
 		capture.setupPatches(ctx);
@@ -149,6 +227,26 @@ export async function setup(ctx) {
 	} catch (error) {
 		logger.error('Failed to setup patches:', error);
 	}
+	// Bank, currency and XP changes are also captured at the source, so
+	// history does not depend on the game's popup settings
+	try {
+		ledger.setupPatches(ctx);
+	} catch (error) {
+		logger.error('Failed to setup ledger patches:', error);
+	}
+	// Shop purchases and offline catch-up are marked on each event's
+	// context; offline catch-up is also summarized
+	try {
+		capture.actionContext.setupPatches(ctx);
+	} catch (error) {
+		logger.error('Failed to setup action context patches:', error);
+	}
+	// Kills, deaths, completions and loot have no popups to hook
+	try {
+		combatCapture.setupPatches(ctx);
+	} catch (error) {
+		logger.error('Failed to setup combat capture patches:', error);
+	}
 	// Expose global API BEFORE initializing UI (UI needs access to storage/settings)
 	globalThis.ActivityMonitorMod = {
 		capture,
@@ -157,6 +255,9 @@ export async function setup(ctx) {
 		ui: uiModule,
 		getStats: async () => await storage.getStats(),
 		getNotifications: () => storage.getNotifications(),
+		getAggregates: (range, bucket) => storage.getAggregates(range, bucket),
+		query: (criteria) => storage.query(criteria),
+		getSessions: () => storage.getSessions(),
 		clearAll: () => storage.clearAll(),
 		version: ctx.version,
 	};
@@ -186,7 +287,7 @@ export async function setup(ctx) {
 	}
 	logger.info('Activity Monitor initialized successfully');
 	logger.info(
-		'Global API: ActivityMonitorMod.getStats(), ActivityMonitorMod.getNotifications()',
+		'Global API: ActivityMonitorMod.getStats(), ActivityMonitorMod.getNotifications(), ActivityMonitorMod.query(criteria), ActivityMonitorMod.getAggregates(range, bucket), ActivityMonitorMod.getSessions()',
 	);
 }
 //# sourceMappingURL=setup.js.map
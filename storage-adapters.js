@@ -0,0 +1,1229 @@
+/// <reference path="../types/melvor.d.ts" />
+/**
+ * Storage backends used by StorageManager.
+ *
+ * Every adapter implements the same interface:
+ *   load()                        - read stored notifications (newest first)
+ *   save(notifications, changes)  - persist; changes is { dirtyIds, removedIds }
+ *                                   or null to rewrite everything
+ *   prune(notifications)          - number of oldest unpinned entries over
+ *                                   the limit (pinned entries are never pruned)
+ *   stats(notifications)          - { compressedSize, uncompressedSize, estimatedMaxCount },
+ *                                   plus { writtenBytes, budgetBytes } for
+ *                                   size-budgeted backends
+ *   clear()                       - delete everything this backend stored
+ *   loadAggregates()              - rolled-up totals of pruned entries, or null
+ *   saveAggregates(aggregates)    - persist rolled-up totals
+ *   loadTrash()                   - soft-deleted entries, or null
+ *   saveTrash(trash)              - persist soft-deleted entries
+ *   loadSessions()                - recorded play sessions, or null
+ *   saveSessions(sessions)        - persist recorded play sessions
+ */
+
+// Display names used in logs and migration prompts
+export const STORAGE_MODE_LABELS = Object.freeze({
+	'local-storage': 'Browser Local Storage',
+	'indexed-db': 'Browser IndexedDB',
+	'character-save': 'Character Save',
+	'memory-only': 'Memory Only',
+	'hybrid-local-storage': 'Character Save + Browser Local Storage',
+	'hybrid-indexed-db': 'Character Save + Browser IndexedDB',
+});
+
+/**
+ * Number of oldest unpinned notifications beyond maxCount. Pinned entries
+ * count towards the limit but are never dropped.
+ */
+export function pruneToCount(notifications, maxCount) {
+	const unpinned = notifications.filter((n) => !n.pinned).length;
+	return Math.min(unpinned, Math.max(0, notifications.length - maxCount));
+}
+
+/**
+ * The `count` oldest unpinned notifications - what prune() results drop
+ */
+export function oldestUnpinned(notifications, count) {
+	if (count <= 0) {
+		return [];
+	}
+	const unpinned = notifications.filter((n) => !n.pinned);
+	return unpinned.slice(Math.max(0, unpinned.length - count));
+}
+
+/**
+ * Notifications left once the `count` oldest unpinned ones are dropped
+ */
+export function withoutOldest(notifications, count) {
+	const dropped = new Set(oldestUnpinned(notifications, count));
+	return notifications.filter((n) => !dropped.has(n));
+}
+
+/**
+ * Shared implementation for backends that store the whole history as one
+ * compressed, base64-encoded blob
+ */
+class BlobStorageAdapter {
+	constructor(manager, mode) {
+		this.manager = manager;
+		this.mode = mode;
+		this.label = STORAGE_MODE_LABELS[mode];
+		// Last blob known to decode correctly (loaded or written by us).
+		// Copied to the backup slot at most once per BACKUP_INTERVAL_MS.
+		this.lastGood = null;
+		this.lastBackupAt = 0;
+		// Set by load() when the stored blob was damaged
+		this.recovery = null;
+	}
+	get settings() {
+		return this.manager.settings;
+	}
+	/**
+	 * Load and decompress the stored blob, falling back to the backup slot
+	 * if it is damaged
+	 */
+	async load() {
+		this.recovery = null;
+		const data = this.readItem();
+		if (!data) {
+			return [];
+		}
+		try {
+			const notifications = await this.decode(data);
+			this.lastGood = data;
+			logger.info(
+				`Loaded ${notifications.length} notifications from ${this.label}`,
+			);
+			return notifications;
+		} catch (error) {
+			if (error.name === 'SchemaVersionError') {
+				// Written by a newer mod version - never treat as empty
+				throw error;
+			}
+			logger.error(`Failed to parse ${this.label} data:`, error);
+			return this.recover(data, error);
+		}
+	}
+	/**
+	 * Store damaged data in localStorage under `prefix` and the time, so
+	 * neither saves nor later damage overwrite it. Only the newest
+	 * MAX_QUARANTINED copies per prefix are kept. Returns the key used.
+	 */
+	quarantine(prefix, data) {
+		let key = `${prefix}-${Date.now().toString(36)}`;
+		for (let n = 1; localStorage.getItem(key) !== null; n++) {
+			key = `${prefix}-${Date.now().toString(36)}-${n}`;
+		}
+		localStorage.setItem(key, data);
+		const copies = [];
+		for (let i = 0; i < localStorage.length; i++) {
+			const other = localStorage.key(i);
+			if (other.startsWith(`${prefix}-`)) copies.push(other);
+		}
+		copies
+			.sort()
+			.slice(0, -BlobStorageAdapter.MAX_QUARANTINED)
+			.forEach((old) => localStorage.removeItem(old));
+		return key;
+	}
+	/**
+	 * Set the damaged blob aside and restore the last-known-good backup
+	 */
+	async recover(data, error) {
+		// Keep the damaged blob where the next save cannot overwrite it.
+		// If even that fails, refuse to continue rather than lose it.
+		const quarantineKey = this.quarantine(this.quarantineKey, data);
+		logger.warn(`Damaged ${this.label} data moved to ${quarantineKey}`);
+		const recovery = {
+			error: error.message,
+			quarantineKey,
+			restored: false,
+			count: 0,
+			backupSavedAt: null,
+		};
+		let notifications = [];
+		const backup = localStorage.getItem(this.backupKey);
+		if (backup) {
+			try {
+				notifications = await this.decode(backup);
+				this.lastGood = backup;
+				recovery.restored = true;
+				recovery.count = notifications.length;
+				recovery.backupSavedAt = JSON.parse(backup).savedAt ?? null;
+				logger.info(
+					`Restored ${notifications.length} notifications from ${this.label} backup`,
+				);
+			} catch (backupError) {
+				logger.error(
+					`${this.label} backup is also unreadable:`,
+					backupError,
+				);
+			}
+		}
+		this.recovery = recovery;
+		return notifications;
+	}
+	/**
+	 * Verify, decompress and upgrade a stored blob
+	 */
+	async decode(data) {
+		const storageData = JSON.parse(data);
+		const payload = await this.decodeEnvelope(storageData);
+		const storedNotifications =
+			storageData.format === CompactCodec.FORMAT ?
+				CompactCodec.decode(payload)
+			:	payload;
+		// Bring payloads written by older versions up to date
+		const upgraded = SchemaRegistry.upgrade(
+			storedNotifications,
+			storageData.version,
+		);
+		// Reconstruct media URLs from mediaRef
+		return upgraded.map((n) => this.manager.reconstructNotification(n));
+	}
+	/**
+	 * Verify the checksum of a parsed envelope and decompress its payload
+	 */
+	async decodeEnvelope(storageData) {
+		// Envelopes written before checksums were added have none
+		if (
+			storageData.checksum !== undefined &&
+			CompressionUtil.checksum(storageData.data) !== storageData.checksum
+		) {
+			throw new Error('Checksum mismatch');
+		}
+		const compressed = CompressionUtil.fromBase64(storageData.data);
+		const compressedStore = {
+			compressed,
+			uncompressedSize: storageData.uncompressedSize,
+			version: storageData.version,
+		};
+		return CompressionUtil.decompress(compressedStore);
+	}
+	/**
+	 * Optimize, compress and write the whole history
+	 */
+	async save(notifications) {
+		this.write(await this.encode(notifications));
+	}
+	/**
+	 * Write an envelope built by encode()
+	 */
+	write(storageData) {
+		const data = JSON.stringify(storageData);
+		this.rotateBackup();
+		this.writeItem(data);
+		this.lastGood = data;
+		const sizeKB = ((storageData.data.length * 3) / 4 / 1024).toFixed(2);
+		logger.debug(`Saved ${sizeKB}KB to ${this.label}`);
+	}
+	/**
+	 * Build the stored envelope for a list of notifications
+	 */
+	async encode(notifications) {
+		return this.encodeEnvelope(notifications, this.encoding);
+	}
+	/**
+	 * How notification lists are encoded before compression (see
+	 * CompressionUtil.prepare)
+	 */
+	get encoding() {
+		return 'stored';
+	}
+	/**
+	 * Encode and compress a payload into a checksummed envelope
+	 */
+	async encodeEnvelope(payload, encoding) {
+		const compressed = await CompressionUtil.encode(payload, encoding);
+		return {
+			data: compressed.data,
+			uncompressedSize: compressed.uncompressedSize,
+			version: compressed.version,
+			checksum: compressed.checksum,
+			savedAt: Date.now(),
+		};
+	}
+	/**
+	 * Copy the last-known-good blob into the backup slot, at most once per
+	 * interval so the backup lags behind the primary copy.
+	 * Returns true if the backup was written.
+	 */
+	rotateBackup() {
+		const now = Date.now();
+		if (
+			this.lastGood === null ||
+			now - this.lastBackupAt < BlobStorageAdapter.BACKUP_INTERVAL_MS
+		) {
+			return false;
+		}
+		try {
+			localStorage.setItem(this.backupKey, this.lastGood);
+			this.lastBackupAt = now;
+			return true;
+		} catch (error) {
+			logger.warn(`Failed to write ${this.label} backup:`, error);
+			return false;
+		}
+	}
+	async stats(notifications) {
+		const { compressedSize, uncompressedSize } =
+			await CompressionUtil.measure(notifications, this.encoding);
+		return {
+			compressedSize,
+			uncompressedSize,
+			estimatedMaxCount: this.estimateMaxCount(
+				notifications.length,
+				compressedSize,
+			),
+		};
+	}
+	/**
+	 * Rolled-up totals are kept compressed in localStorage next to the
+	 * history (in the character save they would eat the size budget)
+	 */
+	async loadAggregates() {
+		const data = localStorage.getItem(this.aggregatesKey);
+		return data ? this.decodeEnvelope(JSON.parse(data)) : null;
+	}
+	async saveAggregates(aggregates) {
+		const storageData = await this.encodeEnvelope(aggregates);
+		localStorage.setItem(this.aggregatesKey, JSON.stringify(storageData));
+	}
+	async loadTrash() {
+		const data = localStorage.getItem(this.trashKey);
+		return data ? this.decodeEnvelope(JSON.parse(data)) : null;
+	}
+	async saveTrash(trash) {
+		const storageData = await this.encodeEnvelope(trash);
+		localStorage.setItem(this.trashKey, JSON.stringify(storageData));
+	}
+	async loadSessions() {
+		const data = localStorage.getItem(this.sessionsKey);
+		return data ? this.decodeEnvelope(JSON.parse(data)) : null;
+	}
+	async saveSessions(sessions) {
+		const storageData = await this.encodeEnvelope(sessions);
+		localStorage.setItem(this.sessionsKey, JSON.stringify(storageData));
+	}
+	async clear() {
+		this.removeItem();
+		localStorage.removeItem(this.backupKey);
+		localStorage.removeItem(this.aggregatesKey);
+		localStorage.removeItem(this.trashKey);
+		localStorage.removeItem(this.sessionsKey);
+		this.lastGood = null;
+	}
+}
+BlobStorageAdapter.BACKUP_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+BlobStorageAdapter.MAX_QUARANTINED = 3; // Damaged copies kept per key
+
+/**
+ * History in browser localStorage, capped by line count.
+ *
+ * Stored as immutable compressed segments plus a small head blob. The head
+ * (under the main key) lists the segments and holds the newest entries,
+ * any older entries changed since they were sealed, and the ids of sealed
+ * entries that were removed. Only the head is rewritten on each save; once
+ * it grows past HEAD_LIMIT its oldest entries are sealed into a new segment.
+ * Segments that collect removed or changed entries are compacted in the
+ * background, and unreferenced segment keys are deleted once neither the
+ * head nor its backup points at them.
+ */
+export class LocalStorageAdapter extends BlobStorageAdapter {
+	constructor(manager) {
+		super(manager, 'local-storage');
+		// Segment bookkeeping - null until loaded or fully written, in which
+		// case the next save rewrites everything
+		this.segments = null; // Map<segmentKey, Set<id>>
+		this.segmentOf = new Map(); // id -> segmentKey
+		this.overrides = new Set(); // sealed ids whose current copy is in the head
+		this.tombstones = new Set(); // sealed ids that were removed
+		this.segmentCounter = 0;
+		this.compactScheduled = false;
+		// Saves and compaction run one at a time
+		this.queue = Promise.resolve();
+	}
+	readItem() {
+		return localStorage.getItem(this.manager.getLocalStorageKey());
+	}
+	writeItem(value) {
+		localStorage.setItem(this.manager.getLocalStorageKey(), value);
+	}
+	removeItem() {
+		localStorage.removeItem(this.manager.getLocalStorageKey());
+	}
+	get backupKey() {
+		return `${this.manager.getLocalStorageKey()}-backup`;
+	}
+	get quarantineKey() {
+		return `${this.manager.getLocalStorageKey()}-quarantine`;
+	}
+	get segmentPrefix() {
+		return `${this.manager.getLocalStorageKey()}-seg-`;
+	}
+	get aggregatesKey() {
+		return `${this.manager.getLocalStorageKey()}-aggregates`;
+	}
+	get trashKey() {
+		return `${this.manager.getLocalStorageKey()}-trash`;
+	}
+	get sessionsKey() {
+		return `${this.manager.getLocalStorageKey()}-sessions`;
+	}
+	async load() {
+		this.segments = null;
+		const notifications = await super.load();
+		this.collectGarbage();
+		return notifications;
+	}
+	/**
+	 * Decode a head blob and the segments it references.
+	 * Single-blob payloads from before segmenting are still readable.
+	 */
+	async decode(data) {
+		const head = JSON.parse(data);
+		if (!Array.isArray(head.segments)) {
+			return super.decode(data);
+		}
+		const payload = await this.decodeEnvelope(head);
+		const headEntries = SchemaRegistry.upgrade(
+			payload.entries,
+			head.version,
+		);
+		const segments = new Map();
+		const segmentOf = new Map();
+		const byId = new Map();
+		const lost = [];
+		for (const key of head.segments) {
+			try {
+				const raw = localStorage.getItem(key);
+				if (!raw) {
+					throw new Error(`Segment ${key} is missing`);
+				}
+				const storageData = JSON.parse(raw);
+				const entries = SchemaRegistry.upgrade(
+					await this.decodeEnvelope(storageData),
+					storageData.version,
+				);
+				const ids = new Set();
+				for (const entry of entries) {
+					ids.add(entry.id);
+					segmentOf.set(entry.id, key);
+					byId.set(entry.id, entry);
+				}
+				segments.set(key, ids);
+			} catch (error) {
+				if (error.name === 'SchemaVersionError') {
+					throw error;
+				}
+				logger.error(`Failed to read ${this.label} segment:`, error);
+				lost.push({ key, error });
+			}
+		}
+		// Head entries are newer than any sealed copy of the same id
+		for (const entry of headEntries) {
+			byId.set(entry.id, entry);
+		}
+		const tombstones = new Set(
+			payload.removed.filter((id) => segmentOf.has(id)),
+		);
+		for (const id of tombstones) {
+			byId.delete(id);
+		}
+		if (lost.length > 0) {
+			this.reportLostSegments(lost);
+		}
+		this.segments = segments;
+		this.segmentOf = segmentOf;
+		this.tombstones = tombstones;
+		this.overrides = new Set(
+			headEntries.map((e) => e.id).filter((id) => segmentOf.has(id)),
+		);
+		return [...byId.values()]
+			.sort((a, b) => b.timestamp - a.timestamp)
+			.map((n) => this.manager.reconstructNotification(n));
+	}
+	/**
+	 * Record damaged or missing segments, keeping any damaged data aside.
+	 * The rest of the history still loads.
+	 */
+	reportLostSegments(lost) {
+		let quarantineKey = null;
+		for (const { key } of lost) {
+			const raw = localStorage.getItem(key);
+			if (raw) {
+				quarantineKey ??= this.quarantine(`${key}-quarantine`, raw);
+				localStorage.removeItem(key);
+			}
+		}
+		this.recovery = {
+			partial: true,
+			error: lost[0].error.message,
+			lostSegments: lost.length,
+			quarantineKey,
+		};
+	}
+	save(notifications, changes) {
+		const run = () => this.saveSegmented(notifications, changes);
+		this.queue = this.queue.then(run, run);
+		return this.queue;
+	}
+	async saveSegmented(notifications, changes) {
+		if (changes === null || this.segments === null) {
+			await this.rewriteAll(notifications);
+			return;
+		}
+		for (const id of changes.dirtyIds) {
+			if (this.segmentOf.has(id)) {
+				this.overrides.add(id);
+			}
+		}
+		for (const id of changes.removedIds) {
+			if (this.segmentOf.has(id)) {
+				this.overrides.delete(id);
+				this.tombstones.add(id);
+			}
+		}
+		await this.writeHead(notifications);
+		if (
+			this.overrides.size + this.tombstones.size >=
+			LocalStorageAdapter.COMPACT_THRESHOLD
+		) {
+			this.scheduleCompaction();
+		}
+	}
+	/**
+	 * Re-segment the whole history (first save, or after a migration)
+	 */
+	async rewriteAll(notifications) {
+		this.segments = new Map();
+		this.segmentOf = new Map();
+		this.overrides = new Set();
+		this.tombstones = new Set();
+		await this.writeHead(notifications);
+		logger.debug(
+			`Rewrote ${notifications.length} notifications into ${this.segments.size} ${this.label} segments`,
+		);
+	}
+	/**
+	 * Seal overflowing entries and write the head blob
+	 */
+	async writeHead(notifications) {
+		const fresh = [];
+		const mutated = [];
+		for (const n of notifications) {
+			if (!this.segmentOf.has(n.id)) {
+				fresh.push(n);
+			} else if (this.overrides.has(n.id)) {
+				mutated.push(n);
+			}
+		}
+		// Notifications are newest-first, so the oldest are at the end
+		while (fresh.length > LocalStorageAdapter.HEAD_LIMIT) {
+			await this.writeSegment(
+				fresh.splice(fresh.length - LocalStorageAdapter.SEGMENT_SIZE),
+			);
+		}
+		const storageData = await this.encodeEnvelope(
+			{
+				entries: [...fresh, ...mutated],
+				removed: [...this.tombstones],
+			},
+			'entries',
+		);
+		storageData.segments = [...this.segments.keys()];
+		const data = JSON.stringify(storageData);
+		const rotated = this.rotateBackup();
+		this.writeItem(data);
+		this.lastGood = data;
+		if (rotated) {
+			this.collectGarbage();
+		}
+		const sizeKB = ((storageData.data.length * 3) / 4 / 1024).toFixed(2);
+		logger.debug(
+			`Saved ${sizeKB}KB head (${fresh.length + mutated.length} entries) to ${this.label}`,
+		);
+	}
+	/**
+	 * Write an immutable segment and index its ids
+	 */
+	async writeSegment(entries) {
+		const key = `${this.segmentPrefix}${Date.now().toString(36)}${(this.segmentCounter++).toString(36)}`;
+		const storageData = await this.encodeEnvelope(entries, this.encoding);
+		localStorage.setItem(key, JSON.stringify(storageData));
+		const ids = new Set(entries.map((n) => n.id));
+		for (const id of ids) {
+			this.segmentOf.set(id, key);
+		}
+		this.segments.set(key, ids);
+	}
+	/**
+	 * Compact when the browser is idle rather than during a game tick
+	 */
+	scheduleCompaction() {
+		if (this.compactScheduled) {
+			return;
+		}
+		this.compactScheduled = true;
+		const run = () => {
+			this.compactScheduled = false;
+			const compact = () => this.compact();
+			this.queue = this.queue.then(compact, compact);
+		};
+		if ('requestIdleCallback' in window) {
+			window.requestIdleCallback(run, { timeout: 10000 });
+		} else {
+			window.setTimeout(run, 1000);
+		}
+	}
+	/**
+	 * Rewrite segments that hold removed or changed entries, merging small
+	 * ones together, then write a head without the folded-in overrides
+	 */
+	async compact() {
+		if (this.segments === null) {
+			return;
+		}
+		const minSize = LocalStorageAdapter.SEGMENT_SIZE / 2;
+		const affected = [...this.segments].filter(
+			([, ids]) =>
+				ids.size < minSize ||
+				[...ids].some(
+					(id) => this.tombstones.has(id) || this.overrides.has(id),
+				),
+		);
+		if (affected.length === 0) {
+			return;
+		}
+		const notifications = this.manager.notifications;
+		const current = new Map(notifications.map((n) => [n.id, n]));
+		const live = [];
+		for (const [key, ids] of affected) {
+			for (const id of ids) {
+				this.segmentOf.delete(id);
+				this.overrides.delete(id);
+				this.tombstones.delete(id);
+				if (current.has(id)) {
+					live.push(current.get(id));
+				}
+			}
+			this.segments.delete(key);
+		}
+		live.sort((a, b) => b.timestamp - a.timestamp);
+		for (
+			let i = 0;
+			i < live.length;
+			i += LocalStorageAdapter.SEGMENT_SIZE
+		) {
+			await this.writeSegment(
+				live.slice(i, i + LocalStorageAdapter.SEGMENT_SIZE),
+			);
+		}
+		await this.writeHead(notifications);
+		logger.debug(
+			`Compacted ${affected.length} ${this.label} segments into ${Math.ceil(live.length / LocalStorageAdapter.SEGMENT_SIZE)}`,
+		);
+	}
+	/**
+	 * Delete segment keys referenced by neither the head nor its backup
+	 */
+	collectGarbage() {
+		const live = new Set();
+		for (const raw of [
+			this.readItem(),
+			localStorage.getItem(this.backupKey),
+		]) {
+			try {
+				JSON.parse(raw)?.segments?.forEach((key) => live.add(key));
+			} catch {
+				// Damaged heads reference nothing
+			}
+		}
+		const prefix = this.segmentPrefix;
+		const garbage = [];
+		for (let i = 0; i < localStorage.length; i++) {
+			const key = localStorage.key(i);
+			if (
+				key.startsWith(prefix) &&
+				!key.includes('-quarantine') &&
+				!live.has(key)
+			) {
+				garbage.push(key);
+			}
+		}
+		garbage.forEach((key) => localStorage.removeItem(key));
+		if (garbage.length > 0) {
+			logger.debug(
+				`Deleted ${garbage.length} unused ${this.label} segments`,
+			);
+		}
+	}
+	async clear() {
+		await super.clear();
+		this.segments = null;
+		this.collectGarbage();
+	}
+	prune(notifications) {
+		return pruneToCount(notifications, this.settings.localStorageLineCount);
+	}
+	estimateMaxCount() {
+		return this.settings.localStorageLineCount;
+	}
+}
+LocalStorageAdapter.HEAD_LIMIT = 200;
+LocalStorageAdapter.SEGMENT_SIZE = 100;
+LocalStorageAdapter.COMPACT_THRESHOLD = 50;
+
+/**
+ * Whole history as one blob in the cloud-synced character save, capped by
+ * line count or by a share of the 8KB character storage limit
+ */
+export class CharacterSaveAdapter extends BlobStorageAdapter {
+	constructor(manager) {
+		super(manager, 'character-save');
+	}
+	get maxBytes() {
+		return Math.floor(
+			this.manager.MAX_CHARACTER_SAVE_BYTES *
+				(this.settings.characterSavePercentage / 100),
+		);
+	}
+	readItem() {
+		return this.manager.ctx.characterStorage.getItem('notifications');
+	}
+	writeItem(value) {
+		this.manager.ctx.characterStorage.setItem('notifications', value);
+	}
+	removeItem() {
+		this.manager.ctx.characterStorage.removeItem('notifications');
+	}
+	// Backups live in browser localStorage - a second copy would not fit in
+	// the 8KB character storage alongside the primary one
+	get backupKey() {
+		return `activity-monitor-character-backup-${this.manager.getCharacterKey()}`;
+	}
+	get quarantineKey() {
+		return `activity-monitor-character-quarantine-${this.manager.getCharacterKey()}`;
+	}
+	get aggregatesKey() {
+		return `activity-monitor-character-aggregates-${this.manager.getCharacterKey()}`;
+	}
+	get trashKey() {
+		return `activity-monitor-character-trash-${this.manager.getCharacterKey()}`;
+	}
+	get sessionsKey() {
+		return `activity-monitor-character-sessions-${this.manager.getCharacterKey()}`;
+	}
+	// Space is tight here, so entries are stored as compact rows
+	get encoding() {
+		return 'compact';
+	}
+	async encode(notifications) {
+		return {
+			...(await super.encode(notifications)),
+			format: CompactCodec.FORMAT,
+		};
+	}
+	async prune(notifications) {
+		if (this.settings.characterSaveType === 'percentage') {
+			return this.pruneToBudget(notifications);
+		}
+		return pruneToCount(
+			notifications,
+			this.settings.characterSaveLineCount,
+		);
+	}
+	/**
+	 * Exact number of characters save() would write for these notifications
+	 */
+	async measureWritten(notifications) {
+		return JSON.stringify(await this.encode(notifications)).length;
+	}
+	/**
+	 * Number of oldest unpinned notifications to drop so the written
+	 * envelope fits in the percentage of max character save size.
+	 * Written size grows close to linearly with the number of entries, so
+	 * the first probe is a size-model guess; a binary search then finds
+	 * the exact cut point. Pinned entries are always kept, even if they
+	 * alone exceed the budget.
+	 */
+	async pruneToBudget(notifications) {
+		const maxBytes = this.maxBytes;
+		const bytes = await this.measureWritten(notifications);
+		if (bytes <= maxBytes) {
+			return 0; // Within limit
+		}
+		const unpinned = notifications.filter((n) => !n.pinned).length;
+		// Largest unpinned keep count known to fit and smallest known not to
+		let fits = 0;
+		let overflows = unpinned;
+		let probe = Math.floor((unpinned * maxBytes) / bytes);
+		let probes = 1;
+		while (overflows - fits > 1) {
+			probe = Math.min(Math.max(probe, fits + 1), overflows - 1);
+			const size = await this.measureWritten(
+				withoutOldest(notifications, unpinned - probe),
+			);
+			probes++;
+			if (size <= maxBytes) {
+				fits = probe;
+			} else {
+				overflows = probe;
+			}
+			probe = Math.floor((fits + overflows) / 2);
+		}
+		logger.debug(
+			`Character save budget: keeping ${fits}/${unpinned} unpinned notifications within ${maxBytes} bytes (${probes} measurements)`,
+		);
+		return unpinned - fits;
+	}
+	async stats(notifications) {
+		const [{ compressedSize, uncompressedSize }, writtenBytes] =
+			await Promise.all([
+				CompressionUtil.measure(notifications, this.encoding),
+				this.measureWritten(notifications),
+			]);
+		return {
+			compressedSize,
+			uncompressedSize,
+			writtenBytes,
+			budgetBytes: this.maxBytes,
+			estimatedMaxCount: this.estimateMaxCount(
+				notifications.length,
+				writtenBytes,
+			),
+		};
+	}
+	estimateMaxCount(count, writtenBytes) {
+		if (this.settings.characterSaveType !== 'percentage') {
+			return this.settings.characterSaveLineCount;
+		}
+		// Estimate max count from the bytes each entry currently costs
+		const bytesPerNotif = count > 0 ? writtenBytes / count : 20; // Default estimate for compact rows
+		return Math.floor(this.maxBytes / bytesPerNotif);
+	}
+}
+
+/**
+ * One IndexedDB record per notification, with no count or size limit
+ */
+export class IndexedDBAdapter {
+	constructor(manager) {
+		this.manager = manager;
+		this.mode = 'indexed-db';
+		this.label = STORAGE_MODE_LABELS[this.mode];
+		this.db = null;
+	}
+	/**
+	 * Get the database for the current character, opening it lazily
+	 */
+	async getDB() {
+		const name = `activity-monitor-${this.manager.getCharacterKey()}`;
+		if (this.db && this.db.name === name) {
+			return this.db;
+		}
+		if (!NotificationDB.isSupported()) {
+			throw new Error('IndexedDB is not supported in this browser');
+		}
+		this.db?.close();
+		this.db = new NotificationDB(name);
+		await this.db.open();
+		return this.db;
+	}
+	/**
+	 * Load all records. Those outside the retention window are pruned by
+	 * the manager after loading, so they are rolled up before deletion.
+	 */
+	async load() {
+		const db = await this.getDB();
+		const records = await this.upgradeRecords(db, await db.getAll());
+		const notifications = records.map((n) =>
+			this.manager.reconstructNotification(n),
+		);
+		logger.info(
+			`Loaded ${notifications.length} notifications from IndexedDB`,
+		);
+		return notifications;
+	}
+	/**
+	 * Upgrade records written with an older schema and store them back.
+	 * Databases without a recorded version hold version 1 records.
+	 */
+	async upgradeRecords(db, records) {
+		const current = SchemaRegistry.currentVersion;
+		const version =
+			(await db.getMeta('schemaVersion')) ??
+			(records.length > 0 ? 1 : current);
+		if (version !== current) {
+			// Throws for versions newer than this mod understands
+			records = SchemaRegistry.upgrade(records, version);
+			await db.replaceAll(records);
+		}
+		if (version !== current || records.length === 0) {
+			await db.setMeta('schemaVersion', current);
+		}
+		return records;
+	}
+	/**
+	 * Write only changed records, or everything when changes is null
+	 */
+	async save(notifications, changes) {
+		const db = await this.getDB();
+		if (changes === null) {
+			await db.replaceAll(
+				notifications.map((n) => this.manager.optimizeNotification(n)),
+			);
+			await db.setMeta('schemaVersion', SchemaRegistry.currentVersion);
+			logger.debug(`Rewrote ${notifications.length} IndexedDB records`);
+			return;
+		}
+		const { dirtyIds, removedIds } = changes;
+		const puts = notifications
+			.filter((n) => dirtyIds.has(n.id))
+			.map((n) => this.manager.optimizeNotification(n));
+		await db.apply(puts, [...removedIds]);
+		logger.debug(
+			`Wrote ${puts.length} and deleted ${removedIds.size} IndexedDB records`,
+		);
+	}
+	/**
+	 * No count or size limit
+	 */
+	prune(notifications) {
+		return 0;
+	}
+	async stats(notifications) {
+		// Records are stored uncompressed
+		const size = JSON.stringify(
+			notifications.map((n) => this.manager.optimizeNotification(n)),
+		).length;
+		return {
+			compressedSize: size,
+			uncompressedSize: size,
+			estimatedMaxCount: 999999, // Unlimited
+		};
+	}
+	async loadAggregates() {
+		const db = await this.getDB();
+		return (await db.getMeta('aggregates')) ?? null;
+	}
+	async saveAggregates(aggregates) {
+		const db = await this.getDB();
+		await db.setMeta('aggregates', aggregates);
+	}
+	async loadTrash() {
+		const db = await this.getDB();
+		return (await db.getMeta('trash')) ?? null;
+	}
+	async saveTrash(trash) {
+		const db = await this.getDB();
+		await db.setMeta('trash', trash);
+	}
+	async loadSessions() {
+		const db = await this.getDB();
+		return (await db.getMeta('sessions')) ?? null;
+	}
+	async saveSessions(sessions) {
+		const db = await this.getDB();
+		await db.setMeta('sessions', sessions);
+	}
+	async clear() {
+		const db = await this.getDB();
+		await db.clear();
+		await db.setMeta('aggregates', null);
+		await db.setMeta('trash', null);
+		await db.setMeta('sessions', null);
+	}
+	close() {
+		this.db?.close();
+		this.db = null;
+	}
+}
+
+/**
+ * Recent history in the character save (cloud-synced, budget-pruned) plus
+ * the full history in a browser backend. Both are merged by id on load, so
+ * a new device starts with the recent tail and the main machine keeps its
+ * deep history.
+ */
+export class HybridAdapter {
+	constructor(manager, mode, history) {
+		this.manager = manager;
+		this.mode = mode;
+		this.label = STORAGE_MODE_LABELS[mode];
+		this.tail = new CharacterSaveAdapter(manager);
+		this.history = history;
+		this.recovery = null;
+		// Size of the last tail written, to size the next candidate slice
+		this.tailCount = 0;
+		// Last tail written under a byte budget: its unpinned count, ids and
+		// the budget it was selected for (null until the first search)
+		this.tailUnpinned = 0;
+		this.tailIds = new Set();
+		this.tailBudget = null;
+	}
+	/**
+	 * Backends this adapter writes to
+	 */
+	get parts() {
+		return [this.tail, this.history];
+	}
+	/**
+	 * Load both copies and merge them by id. Entries only found in the
+	 * tail (captured on another device) are written to the history.
+	 */
+	async load() {
+		const [recent, full] = await Promise.all([
+			this.tail.load(),
+			this.history.load(),
+		]);
+		this.recovery = this.history.recovery ?? this.tail.recovery;
+		this.tailCount = recent.length;
+		const known = new Set(full.map((n) => n.id));
+		const imported = recent.filter((n) => !known.has(n.id));
+		if (imported.length === 0) {
+			return full;
+		}
+		const merged = [...full, ...imported].sort(
+			(a, b) => b.timestamp - a.timestamp,
+		);
+		try {
+			await this.history.save(merged, {
+				dirtyIds: new Set(imported.map((n) => n.id)),
+				removedIds: new Set(),
+			});
+		} catch (error) {
+			logger.warn(
+				`Failed to copy character save entries to ${this.history.label}:`,
+				error,
+			);
+		}
+		logger.info(
+			`Merged ${imported.length} notifications from ${this.tail.label} into ${this.history.label}`,
+		);
+		return merged;
+	}
+	async save(notifications, changes) {
+		await this.history.save(notifications, changes);
+		// Reuse the last tail size rather than searching the budget again
+		const cached = this.cachedTail(notifications);
+		const fitted = cached && (await this.fitTail(cached, notifications));
+		if (fitted) {
+			this.tail.write(fitted.storageData);
+			this.rememberTail(fitted.tail, notifications);
+			return;
+		}
+		const tail = await this.selectTail(notifications);
+		await this.tail.save(tail);
+		this.rememberTail(tail, notifications);
+	}
+	/**
+	 * Newest notifications at the last tail's unpinned count, plus pinned
+	 * ones, or null when the byte budget is not in use or has changed
+	 */
+	cachedTail(notifications) {
+		if (
+			this.tailBudget === null ||
+			this.tail.settings.characterSaveType !== 'percentage' ||
+			this.tail.maxBytes !== this.tailBudget
+		) {
+			return null;
+		}
+		const unpinned = notifications.filter((n) => !n.pinned).length;
+		return withoutOldest(notifications, unpinned - this.tailUnpinned);
+	}
+	/**
+	 * Encode a cached tail, dropping its oldest unpinned entries while it
+	 * is over budget - new entries rarely push out more than one or two.
+	 * Returns null when the budget should be searched instead: still over
+	 * after TRIM_STEPS, or the entries changed and GROW_SLACK of the
+	 * budget is unused.
+	 */
+	async fitTail(tail, notifications) {
+		const budget = this.tailBudget;
+		let storageData = await this.tail.encode(tail);
+		let bytes = JSON.stringify(storageData).length;
+		for (let step = 0; bytes > budget; step++) {
+			if (step === HybridAdapter.TRIM_STEPS) {
+				return null;
+			}
+			tail = withoutOldest(tail, 1);
+			storageData = await this.tail.encode(tail);
+			bytes = JSON.stringify(storageData).length;
+		}
+		const unchanged =
+			tail.length === this.tailIds.size &&
+			tail.every((n) => this.tailIds.has(n.id));
+		if (
+			!unchanged &&
+			tail.length < notifications.length &&
+			budget - bytes >= budget * HybridAdapter.GROW_SLACK
+		) {
+			return null;
+		}
+		return { tail, storageData };
+	}
+	rememberTail(tail, notifications) {
+		this.tailCount = tail.length;
+		if (this.tail.settings.characterSaveType === 'percentage') {
+			// A tail holding the whole history keeps taking new entries
+			this.tailUnpinned =
+				tail.length === notifications.length ?
+					Infinity
+				:	tail.filter((n) => !n.pinned).length;
+			this.tailIds = new Set(tail.map((n) => n.id));
+			this.tailBudget = this.tail.maxBytes;
+		} else {
+			this.tailBudget = null;
+		}
+	}
+	/**
+	 * Pinned and newest notifications that fit the character save limits.
+	 * Only a slice around the previous tail size is measured, not the
+	 * whole history.
+	 */
+	async selectTail(notifications) {
+		let size = Math.max(this.tailCount * 2, HybridAdapter.MIN_TAIL_PROBE);
+		for (;;) {
+			const candidate = notifications.filter(
+				(n, i) => i < size || n.pinned,
+			);
+			const dropped = await this.tail.prune(candidate);
+			if (dropped > 0 || candidate.length === notifications.length) {
+				return withoutOldest(candidate, dropped);
+			}
+			size *= 2;
+		}
+	}
+	prune(notifications) {
+		return this.history.prune(notifications);
+	}
+	async stats(notifications) {
+		const tail = await this.selectTail(notifications);
+		const [historyStats, tailStats] = await Promise.all([
+			this.history.stats(notifications),
+			this.tail.stats(tail),
+		]);
+		return {
+			...historyStats,
+			tailCount: tail.length,
+			writtenBytes: tailStats.writtenBytes,
+			budgetBytes: tailStats.budgetBytes,
+		};
+	}
+	// Totals, trash and sessions live with the full history
+	loadAggregates() {
+		return this.history.loadAggregates();
+	}
+	saveAggregates(aggregates) {
+		return this.history.saveAggregates(aggregates);
+	}
+	loadTrash() {
+		return this.history.loadTrash();
+	}
+	saveTrash(trash) {
+		return this.history.saveTrash(trash);
+	}
+	loadSessions() {
+		return this.history.loadSessions();
+	}
+	saveSessions(sessions) {
+		return this.history.saveSessions(sessions);
+	}
+	async clear() {
+		await Promise.all([this.tail.clear(), this.history.clear()]);
+	}
+	close() {
+		this.history.close?.();
+	}
+}
+HybridAdapter.MIN_TAIL_PROBE = 100;
+HybridAdapter.TRIM_STEPS = 3;
+HybridAdapter.GROW_SLACK = 0.1; // Share of the budget left unused before searching again
+
+/**
+ * Backends an adapter writes to, so migrations between modes sharing a
+ * backend do not delete what they just wrote
+ */
+export function storageParts(adapter) {
+	return adapter.parts ?? [adapter];
+}
+
+/**
+ * Nothing is persisted - history is lost on reload
+ */
+export class MemoryAdapter {
+	constructor(manager) {
+		this.manager = manager;
+		this.mode = 'memory-only';
+		this.label = STORAGE_MODE_LABELS[this.mode];
+	}
+	async load() {
+		logger.info('Memory-only mode - starting with empty notifications');
+		return [];
+	}
+	async save() {
+		// No-op
+	}
+	prune() {
+		return 0; // memory-only mode doesn't need pruning
+	}
+	async stats(notifications) {
+		const size = JSON.stringify(notifications).length;
+		return {
+			compressedSize: size,
+			uncompressedSize: size,
+			estimatedMaxCount: 999999, // Memory-only - unlimited
+		};
+	}
+	async loadAggregates() {
+		return null;
+	}
+	async saveAggregates() {
+		// No-op
+	}
+	async loadTrash() {
+		return null;
+	}
+	async saveTrash() {
+		// No-op
+	}
+	async loadSessions() {
+		return null;
+	}
+	async saveSessions() {
+		// No-op
+	}
+	async clear() {
+		// Nothing stored
+	}
+}
+
+/**
+ * Create the adapter for a storage mode
+ */
+export function createStorageAdapter(mode, manager) {
+	switch (mode) {
+		case 'character-save':
+			return new CharacterSaveAdapter(manager);
+		case 'indexed-db':
+			return new IndexedDBAdapter(manager);
+		case 'memory-only':
+			return new MemoryAdapter(manager);
+		case 'hybrid-local-storage':
+			return new HybridAdapter(
+				manager,
+				mode,
+				new LocalStorageAdapter(manager),
+			);
+		case 'hybrid-indexed-db':
+			return new HybridAdapter(
+				manager,
+				mode,
+				new IndexedDBAdapter(manager),
+			);
+		case 'local-storage':
+		default:
+			return new LocalStorageAdapter(manager);
+	}
+}
+//# sourceMappingURL=storage-adapters.js.map
@@ -1,4 +1,17 @@
 /// <reference path="../types/melvor.d.ts" />
+// Game registries holding the objects behind mediaRefs, by mediaRef type
+const REF_REGISTRIES = Object.freeze({
+	item: 'items',
+	skill: 'skills',
+	currency: 'currencies',
+	monster: 'monsters',
+	area: 'combatAreas',
+	slayerArea: 'slayerAreas',
+	dungeon: 'dungeons',
+	stronghold: 'strongholds',
+	depth: 'abyssDepths',
+});
+
 /**
  * Manages notification storage across multiple backends
  */
@@ -8,9 +21,62 @@ export class StorageManager {
 		this.saveDebounceTimer = null;
 		this.SAVE_DEBOUNCE_MS = 1000;
 		this.MAX_CHARACTER_SAVE_BYTES = 8192; // 8KB
+		// Most recent occurrences kept per grouped entry
+		this.MAX_OCCURRENCES = 50;
+		// How often the current session's end is saved while it is active
+		this.SESSION_SAVE_MS = 60 * 1000;
 		this.ctx = ctx;
 		this._cachedNotifications = null;
 		this._cachedSettings = null;
+		// Ids added/changed or removed since the last save. Lets record-based
+		// backends (IndexedDB) write only what changed.
+		this._dirtyIds = new Set();
+		this._removedIds = new Set();
+		this._adapter = null;
+		this._migrating = 0;
+		// Question about a storage mode change waiting for the player's
+		// answer in the panel: { message, choices: [{ id, label }] }
+		this.modePrompt = null;
+		this._answerModePrompt = null;
+		// Rolled-up totals of notifications dropped by limits or retention
+		this.aggregates = new AggregateStore();
+		// Full-text index over messages, kept in step with this.notifications
+		this.searchIndex = new SearchIndex();
+		// Newest groupable entry per group key (see grouping.js)
+		this._groups = new Map();
+		this._groupingPolicy = null;
+		this._aggregatesDirty = false;
+		// Deleted notifications, restorable until they expire
+		this.trash = new TrashBin();
+		this._trashDirty = false;
+		// Play sessions, for per-session history
+		this.sessions = new SessionLog();
+		this._sessionsDirty = false;
+		// Bumped whenever the session list changes, so the panel re-reads
+		// it only then
+		this.sessionsVersion = 0;
+		// Current session end as of its last save
+		this._sessionEndSaved = 0;
+		// In-flight size-based prune, and whether another was requested
+		this._pruning = null;
+		this._prunePending = false;
+		this._retentionTimer = null;
+		// Everything at or before this timestamp counts as read; newer
+		// entries are unread unless marked read individually
+		this.readUpTo = 0;
+		// Running count of unread notifications, kept in step on every add,
+		// read and removal so badges never scan the history
+		this._unreadCount = 0;
+		// Notifications per context action, kept in step the same way;
+		// actionsVersion is bumped when an action appears or goes away
+		this._actionCounts = new Map();
+		this.actionsVersion = 0;
+		// Set when stored data must not be overwritten (e.g. it was written
+		// by a newer version of the mod); saves are skipped while set
+		this.readOnlyReason = null;
+		// Problem with stored data the player should know about, shown as a
+		// banner in the panel until dismissed
+		this.storageIssue = null;
 	}
 	/**
 	 * Get current storage settings.
@@ -29,6 +95,9 @@ export class StorageManager {
 				characterSavePercentage: 20,
 				characterSaveLineCount: 50,
 				localStorageLineCount: 500,
+				retentionDays: 0,
+				retentionRules: '',
+				trashRetentionDays: 7,
 			};
 		} else {
 			this._cachedSettings = {
@@ -44,6 +113,11 @@ export class StorageManager {
 					settingsManager.getSetting('characterSaveLineCount') || 50,
 				localStorageLineCount:
 					settingsManager.getSetting('localStorageLineCount') || 500,
+				retentionDays: settingsManager.getSetting('retentionDays') ?? 0,
+				retentionRules:
+					settingsManager.getSetting('retentionRules') ?? '',
+				trashRetentionDays:
+					settingsManager.getSetting('trashRetentionDays') ?? 7,
 			};
 		}
 		return this._cachedSettings;
@@ -54,6 +128,18 @@ export class StorageManager {
 	_invalidateSettingsCache() {
 		this._cachedSettings = null;
 	}
+	/**
+	 * Get the storage adapter for the current mode.
+	 * Recreated whenever the mode changes.
+	 */
+	get adapter() {
+		const mode = this.settings.mode;
+		if (this._adapter === null || this._adapter.mode !== mode) {
+			this._adapter?.close?.();
+			this._adapter = StorageAdapters.createStorageAdapter(mode, this);
+		}
+		return this._adapter;
+	}
 	/**
 	 * Invalidate the getNotifications() cache. Must be called by every method
 	 * that adds, removes, or mutates notification objects in this.notifications.
@@ -61,37 +147,26 @@ export class StorageManager {
 	_invalidateCache() {
 		this._cachedNotifications = null;
 	}
+	/**
+	 * Record that a notification was added or changed since the last save
+	 */
+	_markDirty(id) {
+		this._removedIds.delete(id);
+		this._dirtyIds.add(id);
+	}
+	/**
+	 * Record that a notification was removed since the last save
+	 */
+	_markRemoved(id) {
+		this._dirtyIds.delete(id);
+		this._removedIds.add(id);
+	}
 	/**
 	 * Optimize notification for storage by removing redundant data
-	 * Prefers mediaRef, but falls back to optimized media URL if mediaRef is undefined
+	 * (see CompressionUtil.optimize)
 	 */
 	optimizeNotification(notification) {
-		const optimized = {
-			id: notification.id,
-			timestamp: notification.timestamp,
-			type: notification.type,
-			message: notification.message,
-		};
-		// Only include count if > 1
-		if (notification.count && notification.count > 1) {
-			optimized.count = notification.count;
-		}
-		// Only include quantity if > 1
-		if (notification.quantity && notification.quantity > 1) {
-			optimized.quantity = notification.quantity;
-		}
-		// Prefer mediaRef, but fall back to optimized media URL
-		if (notification.mediaRef) {
-			optimized.mediaRef = notification.mediaRef;
-		} else if (notification.media) {
-			// Fallback: save media URL with dl: prefix + CDN prefix replacement
-			optimized.mediaRef = `dl:${notification.media.replace('https://cdn2-main.melvor.net/assets/media/', 'mainCDN:')}`;
-		}
-		// Include customID if present
-		if (notification.customID) {
-			optimized.customID = notification.customID;
-		}
-		return optimized;
+		return CompressionUtil.optimize(notification);
 	}
 	/**
 	 * Reconstruct notification from storage by rebuilding media URLs from mediaRef
@@ -118,6 +193,28 @@ export class StorageManager {
 		if (stored.customID) {
 			notification.customID = stored.customID;
 		}
+		if (stored.read) {
+			notification.read = true;
+		}
+		if (stored.pinned) {
+			notification.pinned = true;
+		}
+		if (stored.occurrences) {
+			notification.occurrences = stored.occurrences;
+		}
+		if (stored.level != null) {
+			notification.level = stored.level;
+			notification.fromLevel = stored.fromLevel;
+		}
+		if (stored.area) {
+			notification.area = stored.area;
+		}
+		if (stored.lines) {
+			notification.lines = stored.lines;
+		}
+		if (stored.context) {
+			notification.context = stored.context;
+		}
 		return notification;
 	}
 	/**
@@ -152,15 +249,7 @@ export class StorageManager {
 				case 'currency':
 					return game.currencies.getObjectByID(id)?.media || '';
 				case 'mastery':
-					// Mastery actions are skill-specific
-					// Try to find the action in all skills
-					for (const skill of game.skills.allObjects) {
-						if (skill.actions) {
-							const action = skill.actions.getObjectByID(id);
-							if (action?.media) return action.media;
-						}
-					}
-					return '';
+					return this.findMasteryAction(id)?.media || '';
 				case 'mark':
 					// Summoning marks
 					const mark = game.summoning?.marks?.getObjectByID(id);
@@ -168,6 +257,16 @@ export class StorageManager {
 				case 'static':
 					// Static media files
 					return `assets/media/main/${id}`;
+				case 'monster':
+				case 'area':
+				case 'slayerArea':
+				case 'dungeon':
+				case 'stronghold':
+				case 'depth':
+					return (
+						game[REF_REGISTRIES[type]]?.getObjectByID(id)?.media ||
+						''
+					);
 				default:
 					logger.warn(`Unknown mediaRef type: ${type}`);
 					return '';
@@ -180,23 +279,235 @@ export class StorageManager {
 			return '';
 		}
 	}
+	/**
+	 * Mastery actions are skill-specific, so every skill is searched
+	 */
+	findMasteryAction(id) {
+		for (const skill of game.skills.allObjects) {
+			const action = skill.actions?.getObjectByID(id);
+			if (action) return action;
+		}
+		return undefined;
+	}
+	/**
+	 * Name and media of the game object behind a mediaRef, for showing
+	 * line items. The name falls back to the id if the object is gone.
+	 */
+	describeRef(mediaRef) {
+		const separator = mediaRef.indexOf(':');
+		const type = mediaRef.substring(0, separator);
+		const id = mediaRef.substring(separator + 1);
+		const object =
+			type === 'mastery' ?
+				this.findMasteryAction(id)
+			:	game[REF_REGISTRIES[type]]?.getObjectByID(id);
+		return {
+			name: object?.name ?? id,
+			media: this.reconstructMedia(mediaRef),
+		};
+	}
 	/**
 	 * Handle storage setting changes.
-	 * Invalidates cache and triggers save if mode changed.
+	 * Invalidates cache and migrates history if mode changed.
 	 */
 	updateSettings(settings) {
 		const oldMode = this.settings.mode;
 		// Invalidate cache so next access reads fresh values
 		this._invalidateSettingsCache();
-		// Trigger save if mode changed
 		if (settings.mode && settings.mode !== oldMode) {
 			logger.info(`Storage mode changed: ${oldMode} → ${settings.mode}`);
-			this.save();
+			// The dropdown's onChange runs before the new value is committed,
+			// so pin the new mode rather than re-reading it from settings
+			this._cachedSettings = { ...this.settings, mode: settings.mode };
+			this.handleModeChange(oldMode, settings.mode);
 		}
 		logger.debug(
 			'Storage setting cache invalidated, will read fresh on next access',
 		);
 	}
+	/**
+	 * Ask the player how to carry history over to the new storage mode,
+	 * then migrate (or load the new backend's own history).
+	 */
+	async handleModeChange(fromMode, toMode) {
+		const fromLabel = StorageAdapters.STORAGE_MODE_LABELS[fromMode];
+		const toLabel = StorageAdapters.STORAGE_MODE_LABELS[toMode];
+		let shouldCopy = false;
+		let deleteSource = false;
+		// Hold off debounced saves so nothing is written to the new backend
+		// until the player has decided
+		this._migrating++;
+		try {
+			// Flush pending changes to the old backend before switching away
+			if (this.saveDebounceTimer !== null) {
+				clearTimeout(this.saveDebounceTimer);
+				this.saveDebounceTimer = null;
+				await this.withAdapter(fromMode, (source) => this.save(source));
+			}
+			const preview = await this.previewMigration(toMode);
+			if (preview.total > 0) {
+				let message = `Copy ${preview.total} notifications from ${fromLabel} to ${toLabel}?`;
+				if (preview.dropped > 0) {
+					const since = new Date(preview.oldestKept).toLocaleString();
+					message += ` ${toLabel} limits keep ${preview.kept} of them. The oldest ${preview.dropped} (everything before ${since}) will be lost.`;
+				}
+				const choices = [{ id: 'copy', label: 'Copy' }];
+				if (fromMode !== 'memory-only') {
+					choices.push({
+						id: 'move',
+						label: `Copy and delete from ${fromLabel}`,
+					});
+				}
+				choices.push({ id: 'separate', label: 'Keep separate' });
+				const choice = await this.askModePrompt(message, choices);
+				shouldCopy = choice !== 'separate';
+				deleteSource = choice === 'move';
+			}
+			if (shouldCopy) {
+				await this.migrate(fromMode, toMode, { deleteSource });
+			} else {
+				await this.load();
+			}
+		} catch (error) {
+			logger.error('Failed to switch storage mode:', error);
+		} finally {
+			this._migrating--;
+		}
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-refresh-panel'),
+		);
+	}
+	/**
+	 * Ask the player about a mode change in the panel, opening it if
+	 * needed. Resolves with the id of the chosen answer. A newer question
+	 * answers the one before with 'separate'.
+	 */
+	askModePrompt(message, choices) {
+		this._answerModePrompt?.('separate');
+		this.modePrompt = { message, choices };
+		const answer = new Promise((resolve) => {
+			this._answerModePrompt = resolve;
+		});
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-mode-prompt', {
+				detail: { prompt: this.modePrompt },
+			}),
+		);
+		globalThis.ActivityMonitorMod?.ui?.openPanel();
+		return answer;
+	}
+	/**
+	 * Answer the mode change question with one of its choice ids
+	 */
+	answerModePrompt(choice) {
+		const resolve = this._answerModePrompt;
+		this._answerModePrompt = null;
+		this.modePrompt = null;
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-mode-prompt', {
+				detail: { prompt: null },
+			}),
+		);
+		resolve?.(choice);
+	}
+	/**
+	 * Run `fn` with a temporary adapter for a mode, closing it afterwards
+	 * so no database connection is left open
+	 */
+	async withAdapter(mode, fn) {
+		const adapter = StorageAdapters.createStorageAdapter(mode, this);
+		try {
+			return await fn(adapter);
+		} finally {
+			adapter.close?.();
+		}
+	}
+	/**
+	 * Report what migrating the in-memory history to a mode would keep
+	 */
+	async previewMigration(toMode) {
+		return this.withAdapter(toMode, async (target) => {
+			const total = this.notifications.length;
+			const dropped = await target.prune(this.notifications);
+			const kept = StorageAdapters.withoutOldest(
+				this.notifications,
+				dropped,
+			);
+			return {
+				total,
+				kept: kept.length,
+				dropped,
+				oldestKept: kept.findLast((n) => !n.pinned)?.timestamp ?? null,
+			};
+		});
+	}
+	/**
+	 * Copy history from one storage mode to another.
+	 * Merges with anything the target already holds, applies the target's
+	 * limits and optionally deletes the source copy.
+	 */
+	async migrate(fromMode, toMode, { deleteSource = false } = {}) {
+		const source = StorageAdapters.createStorageAdapter(fromMode, this);
+		const target = StorageAdapters.createStorageAdapter(toMode, this);
+		this._migrating++;
+		try {
+			// In-memory history is the freshest view of the source
+			const existing = await target.load();
+			const seen = new Set(this.notifications.map((n) => n.id));
+			const merged = [
+				...this.notifications,
+				...existing.filter((n) => !seen.has(n.id)),
+			].sort((a, b) => b.timestamp - a.timestamp);
+			const dropped = await target.prune(merged);
+			const kept = StorageAdapters.withoutOldest(merged, dropped);
+			// Carry the rolled-up totals over, plus whatever the target's
+			// limits drop now
+			const aggregates = await this.loadAggregates(target);
+			aggregates.merge(this.aggregates);
+			aggregates.fold(StorageAdapters.oldestUnpinned(merged, dropped));
+			await target.save(kept, null);
+			await target.saveAggregates(aggregates.toJSON());
+			await target.saveTrash(this.trash.toJSON());
+			await target.saveSessions(this.sessions.toJSON());
+			if (deleteSource) {
+				// Hybrid modes share backends with single-backend modes;
+				// keep whatever the target now uses
+				const targetModes = new Set(
+					StorageAdapters.storageParts(target).map((p) => p.mode),
+				);
+				for (const part of StorageAdapters.storageParts(source)) {
+					if (!targetModes.has(part.mode)) {
+						await part.clear();
+					}
+				}
+			}
+			this.notifications = kept;
+			this.aggregates = aggregates;
+			this._aggregatesDirty = false;
+			this._trashDirty = false;
+			this._sessionsDirty = false;
+			this._dirtyIds.clear();
+			this._removedIds.clear();
+			this._invalidateCache();
+			this.searchIndex.rebuild(kept);
+			this.rebuildGroups();
+			this.recount();
+			this.notifyUnreadChanged();
+			logger.info(
+				`Migrated ${kept.length} notifications from ${source.label} to ${target.label}` +
+					(dropped > 0 ? ` (${dropped} dropped by limits)` : '') +
+					(deleteSource ? ', source deleted' : ''),
+			);
+			return { kept: kept.length, dropped };
+		} catch (error) {
+			logger.error('Storage migration failed:', error);
+			throw error;
+		} finally {
+			this._migrating--;
+			source.close?.();
+			target.close?.();
+		}
+	}
 	/**
 	 * Setup event listeners for settings changes
 	 */
@@ -218,77 +529,162 @@ export class StorageManager {
 				// Invalidate cache when any storage setting changes
 				this._invalidateSettingsCache();
 				logger.debug(`Storage setting changed: ${key} = ${value}`);
+				if (key === 'retentionDays' || key === 'retentionRules') {
+					// onChange runs before the value is committed
+					this._cachedSettings = { ...this.settings, [key]: value };
+					this.applyRetention();
+				} else if (key === 'trashRetentionDays') {
+					this._cachedSettings = { ...this.settings, [key]: value };
+					this.expireTrash();
+				}
+			},
+		);
+		// Grouping rules decide the group keys, so the key map is rebuilt
+		document.addEventListener(
+			'activity-monitor-display-setting-changed',
+			(event) => {
+				const { key, value } = event.detail;
+				if (key === 'groupingRules') {
+					this._groupingPolicy = GroupingPolicy.fromSettings(value);
+					this.rebuildGroups();
+				}
 			},
 		);
 		logger.info('Storage settings listeners registered');
 	}
+	/**
+	 * Grouping rules, parsed once and cached until the setting changes
+	 */
+	get groupingPolicy() {
+		if (this._groupingPolicy === null) {
+			this._groupingPolicy = GroupingPolicy.fromSettings(
+				globalThis.ActivityMonitorMod?.settings?.getSetting(
+					'groupingRules',
+				),
+			);
+		}
+		return this._groupingPolicy;
+	}
+	/**
+	 * Make a notification the entry its group key points to, unless a newer
+	 * one already holds the key. Pinned notifications are never grouped into.
+	 */
+	_trackGroup(notification) {
+		if (notification.pinned) return;
+		const key = this.groupingPolicy.keyOf(notification);
+		if (key === null) return;
+		const current = this._groups.get(key);
+		if (!current || current.timestamp <= notification.timestamp) {
+			this._groups.set(key, notification);
+		}
+	}
+	/**
+	 * Stop grouping into a notification that is leaving the history
+	 */
+	_untrackGroup(notification) {
+		const key = this.groupingPolicy.keyOf(notification);
+		if (key !== null && this._groups.get(key) === notification) {
+			this._groups.delete(key);
+		}
+	}
+	/**
+	 * Rebuild the group key map from the whole history
+	 */
+	rebuildGroups() {
+		this._groups.clear();
+		this.notifications.forEach((n) => this._trackGroup(n));
+	}
+	/**
+	 * Append an event to a grouped entry's occurrences ([timestamp, delta],
+	 * oldest first; delta omitted for types without a quantity). The first
+	 * merge also records the entry's own event. Only the newest
+	 * MAX_OCCURRENCES are kept.
+	 */
+	recordOccurrence(existing, timestamp, delta) {
+		const occurrences = existing.occurrences ?? [];
+		if (occurrences.length === 0 && (existing.count || 1) === 1) {
+			occurrences.push(
+				delta === undefined ?
+					[existing.timestamp]
+				:	[existing.timestamp, existing.quantity],
+			);
+		}
+		occurrences.push(
+			delta === undefined ? [timestamp] : [timestamp, delta],
+		);
+		if (occurrences.length > this.MAX_OCCURRENCES) {
+			occurrences.splice(0, occurrences.length - this.MAX_OCCURRENCES);
+		}
+		existing.occurrences = occurrences;
+	}
 	/**
 	 * Add notification to storage (with grouping)
 	 */
 	addNotification(notification) {
 		this._invalidateCache();
+		this.touchSession();
 		// Get grouping settings
 		const settingsManager = globalThis.ActivityMonitorMod?.settings;
 		const groupingWindow =
 			settingsManager?.getSetting('groupSimilarTimeWindow') ?? 30;
 		const timeWindowSeconds =
 			groupingWindow === 'always' ? Infinity : Number(groupingWindow);
-		if (groupingWindow !== 'never') {
-			// Try to find existing notification to group with
-			const timeWindowMs = timeWindowSeconds * 1000;
-			const now = Date.now();
-			// Notifications with a quantity are grouped by type + mediaRef so
-			// that e.g. GP gains collapse into one entry but XP gains for
-			// different skills are kept separate (different mediaRef).
-			// Message-only notifications (e.g. errors) still require an exact
-			// message match so unrelated errors are never merged.
-			const hasQuantity = notification.quantity !== undefined;
-			let existingIndex = -1;
-			for (let i = 0; i < this.notifications.length; i++) {
-				const n = this.notifications[i];
-				if (now - n.timestamp > timeWindowMs) {
-					break; // All remaining notifications are older, stop early
-				}
-				const typeMatches = n.type === notification.type;
-				const contentMatches =
-					hasQuantity ?
-						n.mediaRef === notification.mediaRef
-					:	n.message === notification.message;
-				if (typeMatches && contentMatches) {
-					existingIndex = i;
-					break;
-				}
+		const key =
+			groupingWindow === 'never' ? null : (
+				this.groupingPolicy.keyOf(notification)
+			);
+		// The newest entry with the same group key, found in O(1)
+		const existing = key === null ? undefined : this._groups.get(key);
+		// When the event happened, not when it reached storage
+		const { timestamp } = notification;
+		if (
+			existing &&
+			timestamp - existing.timestamp <= timeWindowSeconds * 1000
+		) {
+			// Found matching notification - increment count instead of adding new
+			this._countRemoved([existing]);
+			this.recordOccurrence(existing, timestamp, notification.quantity);
+			existing.count = (existing.count || 1) + 1;
+			existing.timestamp = timestamp; // Update to latest timestamp
+			// Accumulate quantity so the grouped entry reflects the running total
+			if (notification.quantity !== undefined) {
+				const newQuantity =
+					(existing.quantity || 0) + notification.quantity;
+				existing.quantity = newQuantity;
 			}
-			if (existingIndex !== -1) {
-				// Found matching notification - increment count instead of adding new
-				const existing = this.notifications[existingIndex];
-				existing.count = (existing.count || 1) + 1;
-				existing.timestamp = now; // Update to latest timestamp
-				// Accumulate quantity so the grouped entry reflects the running total
-				if (hasQuantity) {
-					const newQuantity =
-						(existing.quantity || 0) + notification.quantity;
-					existing.quantity = newQuantity;
-				}
-				existing.message = notification.message;
-				// Remove from current position
-				this.notifications.splice(existingIndex, 1);
-				// Put at beginning - it has the newest timestamp
-				this.notifications.unshift(existing);
-				// Dispatch event for UI updates
-				document.dispatchEvent(
-					new CustomEvent('activity-monitor-notification-updated', {
-						detail: { notification: existing },
-					}),
+			existing.message = notification.message;
+			// New activity makes a read entry unread again
+			delete existing.read;
+			this._countAdded([existing]);
+			this._markDirty(existing.id);
+			this.searchIndex.add(existing);
+			// Put at beginning - it has the newest timestamp. Repeated gains
+			// usually land on the entry that is already first.
+			if (this.notifications[0] !== existing) {
+				this.notifications.splice(
+					this.notifications.indexOf(existing),
+					1,
 				);
-				// Debounced save
-				this.debouncedSave();
-				return;
+				this.notifications.unshift(existing);
 			}
+			// Dispatch event for UI updates
+			document.dispatchEvent(
+				new CustomEvent('activity-monitor-notification-updated', {
+					detail: { notification: existing },
+				}),
+			);
+			this.notifyUnreadChanged();
+			// Debounced save
+			this.debouncedSave();
+			return;
 		}
 		// No match found or grouping disabled - add as new notification
 		notification.count = 1;
 		this.notifications.unshift(notification);
+		this._markDirty(notification.id);
+		this.searchIndex.add(notification);
+		this._trackGroup(notification);
+		this._countAdded([notification]);
 		// Prune if necessary
 		this.pruneIfNeeded();
 		// Dispatch event for UI updates
@@ -297,6 +693,7 @@ export class StorageManager {
 				detail: { notification },
 			}),
 		);
+		this.notifyUnreadChanged();
 		// Debounced save
 		this.debouncedSave();
 	}
@@ -319,6 +716,18 @@ export class StorageManager {
 		}
 		return this._cachedNotifications;
 	}
+	/**
+	 * Find notifications matching structured criteria (see query.js), e.g.
+	 * the 10 largest Oak Log drops today:
+	 *   query({ mediaRef: 'item:melvorD:Oak_Logs', since: todayStart,
+	 *           sort: 'quantity', limit: 10 })
+	 * Only the matches are copied, not the whole history.
+	 */
+	query(criteria = {}) {
+		return new NotificationQuery(criteria, this.searchIndex)
+			.run(this.notifications)
+			.map((n) => ({ ...n }));
+	}
 	/**
 	 * Get notification by ID
 	 */
@@ -332,59 +741,559 @@ export class StorageManager {
 		this._invalidateCache();
 		const index = this.notifications.findIndex((n) => n.id === id);
 		if (index !== -1) {
+			this._untrackGroup(this.notifications[index]);
+			this._countRemoved([this.notifications[index]]);
 			this.notifications[index] = {
 				...this.notifications[index],
 				...updates,
 			};
+			this._markDirty(id);
+			this.searchIndex.add(this.notifications[index]);
+			this._trackGroup(this.notifications[index]);
+			this._countAdded([this.notifications[index]]);
 			this.debouncedSave();
+			this.notifyUnreadChanged();
 		}
 	}
 	/**
-	 * Remove notification by ID
+	 * Move notification to the trash by ID
 	 */
 	removeNotification(id) {
-		this._invalidateCache();
-		this.notifications = this.notifications.filter((n) => n.id !== id);
+		this.moveToTrash([id]);
 		this.debouncedSave();
 	}
 	/**
-	 * Clear all notifications
+	 * Move all notifications to the trash
 	 */
 	clearAll() {
+		this.moveToTrash(this.notifications.map((n) => n.id));
+		this.save();
+	}
+	/**
+	 * Soft-delete notifications: they leave the history but can be
+	 * restored from the trash until it expires them.
+	 * Returns the ids moved.
+	 */
+	moveToTrash(ids) {
+		const wanted = new Set(ids);
+		const removed = this.notifications.filter((n) => wanted.has(n.id));
+		if (removed.length === 0) {
+			return [];
+		}
+		this.trash.add(removed.map((n) => this.optimizeNotification(n)));
+		this._trashDirty = true;
+		removed.forEach((n) => {
+			this._markRemoved(n.id);
+			this.searchIndex.remove(n.id);
+			this._untrackGroup(n);
+		});
+		this._countRemoved(removed);
+		this.notifications = this.notifications.filter(
+			(n) => !wanted.has(n.id),
+		);
 		this._invalidateCache();
-		this.notifications = [];
+		const removedIds = removed.map((n) => n.id);
+		// Lets the panel offer an undo
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-trashed', {
+				detail: { ids: removedIds },
+			}),
+		);
+		this.notifyUnreadChanged();
+		return removedIds;
+	}
+	/**
+	 * Put notifications from the trash back into the history.
+	 * Returns the number restored.
+	 */
+	restoreFromTrash(ids) {
+		const known = new Set(this.notifications.map((n) => n.id));
+		const restored = this.trash
+			.take(ids)
+			.map((stored) => this.reconstructNotification(stored))
+			.filter((n) => !known.has(n.id));
+		this._trashDirty = true;
+		if (restored.length > 0) {
+			this.notifications = [...this.notifications, ...restored].sort(
+				(a, b) => b.timestamp - a.timestamp,
+			);
+			restored.forEach((n) => {
+				this._markDirty(n.id);
+				this.searchIndex.add(n);
+				this._trackGroup(n);
+			});
+			this._countAdded(restored);
+			this._invalidateCache();
+			// Restored entries count against the limits again
+			this.applyRetention();
+			this.pruneIfNeeded();
+			this.notifyUnreadChanged();
+		}
+		this.debouncedSave();
+		return restored.length;
+	}
+	/**
+	 * Permanently delete notifications from the trash
+	 */
+	deleteFromTrash(ids) {
+		this.trash.take(ids);
+		this._trashDirty = true;
+		this.debouncedSave();
+	}
+	/**
+	 * Permanently delete everything in the trash
+	 */
+	emptyTrash() {
+		this.trash = new TrashBin();
+		this._trashDirty = true;
 		this.save();
 	}
+	/**
+	 * Notifications in the trash, most recently deleted first, each with
+	 * the time it was deleted
+	 */
+	getTrash() {
+		return this.trash.entries.map((stored) => ({
+			...this.reconstructNotification(stored),
+			deletedAt: stored.deletedAt,
+		}));
+	}
+	/**
+	 * Drop trash entries older than the trash retention setting
+	 */
+	expireTrash(now = Date.now()) {
+		const expired = this.trash.expire(
+			Number(this.settings.trashRetentionDays),
+			now,
+		);
+		if (expired > 0) {
+			this._trashDirty = true;
+			logger.debug(`Emptied ${expired} expired notifications from trash`);
+			this.debouncedSave();
+		}
+	}
+	/**
+	 * Start recording a play session (on character load)
+	 */
+	startSession(character) {
+		const session = this.sessions.start(character);
+		this._sessionsChanged();
+		this.debouncedSave();
+		logger.info(`Session ${session.id} started for ${character}`);
+	}
+	/**
+	 * Mark the current session active now; after a long idle gap this
+	 * starts a new one. A longer session is only saved every
+	 * SESSION_SAVE_MS, not on every notification.
+	 */
+	touchSession(now = Date.now()) {
+		const current = this.sessions.current;
+		if (
+			this.sessions.touch(now) &&
+			(this.sessions.current !== current ||
+				now - this._sessionEndSaved >= this.SESSION_SAVE_MS)
+		) {
+			this._sessionsChanged();
+		}
+	}
+	/**
+	 * Queue the sessions for saving and tell the panel they changed
+	 */
+	_sessionsChanged() {
+		this._sessionsDirty = true;
+		this._sessionEndSaved = this.sessions.current?.end ?? 0;
+		this.sessionsVersion++;
+	}
+	/**
+	 * Record the end of activity when the page is hidden or left. Saved
+	 * right away - a debounced save may never run.
+	 */
+	async endSession() {
+		if (!this.sessions.current) return;
+		this.touchSession();
+		this._sessionsChanged();
+		if (this.saveDebounceTimer !== null) {
+			clearTimeout(this.saveDebounceTimer);
+			this.saveDebounceTimer = null;
+		}
+		await this.save();
+	}
+	/**
+	 * Recorded sessions, newest first; the one being recorded is flagged
+	 * `current`
+	 */
+	getSessions() {
+		return this.sessions.entries.map((session) => ({
+			...session,
+			current: session === this.sessions.current,
+		}));
+	}
+	/**
+	 * since/until query criteria for a session id, or 'last' for
+	 * everything since the previous session ended
+	 */
+	getSessionRange(id) {
+		if (id === 'last') {
+			const previous = this.sessions.previous;
+			return previous ? { since: previous.end + 1 } : {};
+		}
+		const session = this.sessions.get(id);
+		return session ? this.sessions.rangeOf(session) : {};
+	}
+	/**
+	 * Readable "action - target" label for a notification context, e.g.
+	 * "Woodcutting - Oak Tree"
+	 */
+	describeContext(context) {
+		const names = [];
+		if (context.action) {
+			names.push(
+				ActionContext.ORIGINS[context.action] ??
+					this.describeRef(context.action).name,
+			);
+		}
+		if (context.target) {
+			names.push(this.describeRef(context.target).name);
+		}
+		return names.join(' - ');
+	}
+	/**
+	 * Actions the stored notifications happened during, as
+	 * [{ action, name }] sorted by name. Changes only when actionsVersion
+	 * does.
+	 */
+	getActionSources() {
+		return [...this._actionCounts.keys()]
+			.map((action) => ({
+				action,
+				name: this.describeContext({ action }),
+			}))
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
+	/**
+	 * Pin or unpin a notification. Pinned notifications are never pruned,
+	 * expired or grouped with new ones.
+	 */
+	setPinned(id, pinned) {
+		const notification = this.getNotification(id);
+		if (!notification || !!notification.pinned === pinned) {
+			return;
+		}
+		this._invalidateCache();
+		if (pinned) {
+			this._untrackGroup(notification);
+			notification.pinned = true;
+		} else {
+			delete notification.pinned;
+			this._trackGroup(notification);
+		}
+		this._markDirty(id);
+		if (!pinned) {
+			// It counts against the limits again
+			this.applyRetention();
+			this.pruneIfNeeded();
+		}
+		this.debouncedSave();
+	}
+	/**
+	 * Whether a notification is newer than the read watermark and has not
+	 * been marked read on its own
+	 */
+	isUnread(notification) {
+		return !notification.read && notification.timestamp > this.readUpTo;
+	}
+	/**
+	 * Number of unread notifications
+	 */
+	getUnreadCount() {
+		return this._unreadCount;
+	}
+	/**
+	 * Count unread notifications and their actions entering the history,
+	 * or leaving it (or about to change) for _countRemoved()
+	 */
+	_countAdded(notifications) {
+		this._unreadCount += notifications.filter((n) =>
+			this.isUnread(n),
+		).length;
+		for (const { context } of notifications) {
+			if (!context?.action) continue;
+			const count = this._actionCounts.get(context.action) ?? 0;
+			if (count === 0) this.actionsVersion++;
+			this._actionCounts.set(context.action, count + 1);
+		}
+	}
+	_countRemoved(notifications) {
+		this._unreadCount -= notifications.filter((n) =>
+			this.isUnread(n),
+		).length;
+		for (const { context } of notifications) {
+			if (!context?.action) continue;
+			const count = this._actionCounts.get(context.action) - 1;
+			if (count > 0) {
+				this._actionCounts.set(context.action, count);
+			} else {
+				this._actionCounts.delete(context.action);
+				this.actionsVersion++;
+			}
+		}
+	}
+	/**
+	 * Count unread notifications and actions from scratch, after the whole
+	 * history was replaced
+	 */
+	recount() {
+		this._unreadCount = 0;
+		this._actionCounts.clear();
+		this.actionsVersion++;
+		this._countAdded(this.notifications);
+	}
+	/**
+	 * Mark a single notification as read
+	 */
+	markRead(id) {
+		const notification = this.getNotification(id);
+		if (!notification || !this.isUnread(notification)) {
+			return;
+		}
+		this._invalidateCache();
+		notification.read = true;
+		this._unreadCount--;
+		this._markDirty(id);
+		this.debouncedSave();
+		this.notifyUnreadChanged();
+	}
+	/**
+	 * Mark everything captured so far as read by moving the watermark, so
+	 * no per-entry writes are needed
+	 */
+	markAllRead() {
+		this.readUpTo = Math.max(
+			Date.now(),
+			this.notifications[0]?.timestamp ?? 0,
+		);
+		this.ctx.characterStorage.setItem('readUpTo', this.readUpTo);
+		this._unreadCount = 0;
+		this._invalidateCache();
+		this.notifyUnreadChanged();
+	}
+	/**
+	 * Tell the UI badges the unread count may have changed
+	 */
+	notifyUnreadChanged() {
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-unread-changed', {
+				detail: { count: this.getUnreadCount() },
+			}),
+		);
+	}
+	/**
+	 * Export notifications - the full history, or a subset such as the
+	 * panel's filtered view - as a json, csv or ndjson file
+	 * @returns {{ filename: string, mimeType: string, content: string }}
+	 */
+	exportHistory(format, notifications = this.notifications) {
+		return HistoryTransfer.serialize(
+			notifications.map((n) => this.optimizeNotification(n)),
+			format,
+		);
+	}
+	/**
+	 * Merge an exported file into the history. Entries whose id is already
+	 * present are skipped; media is rebuilt from mediaRef.
+	 * @returns {{ added: number, duplicates: number, invalid: number }}
+	 */
+	importHistory(text, filename) {
+		if (this.readOnlyReason !== null) {
+			throw new Error(
+				'Stored history could not be read, so nothing can be imported',
+			);
+		}
+		const known = new Set(this.notifications.map((n) => n.id));
+		const added = [];
+		let duplicates = 0;
+		let invalid = 0;
+		for (const entry of HistoryTransfer.parse(text, filename)) {
+			if (!HistoryTransfer.isValid(entry)) {
+				invalid++;
+			} else if (known.has(entry.id)) {
+				duplicates++;
+			} else {
+				known.add(entry.id);
+				added.push(this.reconstructNotification(entry));
+			}
+		}
+		if (added.length > 0) {
+			this.notifications = [...this.notifications, ...added].sort(
+				(a, b) => b.timestamp - a.timestamp,
+			);
+			added.forEach((n) => {
+				this._markDirty(n.id);
+				this.searchIndex.add(n);
+				this._trackGroup(n);
+			});
+			this._countAdded(added);
+			this._invalidateCache();
+			this.applyRetention();
+			this.pruneIfNeeded();
+			this.debouncedSave();
+			this.notifyUnreadChanged();
+			document.dispatchEvent(
+				new CustomEvent('activity-monitor-refresh-panel'),
+			);
+		}
+		logger.info(
+			`Imported ${added.length} notifications from ${filename} (${duplicates} duplicates, ${invalid} invalid)`,
+		);
+		return { added: added.length, duplicates, invalid };
+	}
 	/**
 	 * Load notifications from storage
 	 */
 	async load() {
+		this.readOnlyReason = null;
+		this.setStorageIssue(null);
 		try {
-			switch (this.settings.mode) {
-				case 'character-save':
-					await this.loadFromCharacterStorage();
-					break;
-				case 'local-storage':
-					await this.loadFromLocalStorage();
-					break;
-				case 'memory-only':
-					this.notifications = [];
-					logger.info(
-						'Memory-only mode - starting with empty notifications',
-					);
-					break;
-			}
+			const adapter = this.adapter;
+			this.readUpTo =
+				Number(this.ctx.characterStorage.getItem('readUpTo')) || 0;
+			this.notifications = await adapter.load();
 			logger.info(
 				`Loaded ${this.notifications.length} notifications from ${this.settings.mode}`,
 			);
+			if (adapter.recovery) {
+				this.reportRecovery(adapter, adapter.recovery);
+			}
+			this.aggregates = await this.loadAggregates(adapter);
+			this._aggregatesDirty = false;
+			this.trash = await this.loadTrash(adapter);
+			this._trashDirty = false;
+			this.expireTrash();
+			this.sessions = await this.loadSessions(adapter);
+			this._sessionsDirty = false;
+			this.applyRetention();
+			// Limits may have been lowered since the last session
+			await this.pruneIfNeeded();
 		} catch (error) {
-			logger.error('Failed to load notifications:', error);
+			// Leave whatever is stored untouched - saving would overwrite it
+			this.readOnlyReason = error.message;
+			if (error.name === 'SchemaVersionError') {
+				logger.error(
+					`${error.message}. Update the mod to read it - saving is disabled until then.`,
+				);
+				this.setStorageIssue(
+					'Your notification history was saved by a newer version of Activity Monitor. Update the mod to see it - new notifications will not be saved until then.',
+				);
+			} else {
+				logger.error('Failed to load notifications:', error);
+				this.setStorageIssue(
+					`Notification history could not be read (${error.message}). New notifications will not be saved so the stored copy is not overwritten.`,
+				);
+			}
 			this.notifications = [];
 		} finally {
+			// Freshly loaded data matches what is stored
+			this._dirtyIds.clear();
+			this._removedIds.clear();
 			// Ensure any pre-load cached snapshot is discarded regardless of
 			// which branch ran or whether an error occurred.
 			this._invalidateCache();
+			this.searchIndex.rebuild(this.notifications);
+			this.rebuildGroups();
+			this.recount();
+			this.notifyUnreadChanged();
+		}
+	}
+	/**
+	 * Read rolled-up totals; damaged totals are logged and started over
+	 * rather than blocking the history from loading
+	 */
+	async loadAggregates(adapter) {
+		try {
+			return new AggregateStore(await adapter.loadAggregates());
+		} catch (error) {
+			logger.warn(
+				`Failed to read rolled-up totals from ${adapter.label}:`,
+				error,
+			);
+			return new AggregateStore();
+		}
+	}
+	/**
+	 * Read the trash; a damaged trash is logged and started over
+	 */
+	async loadTrash(adapter) {
+		try {
+			return new TrashBin(await adapter.loadTrash());
+		} catch (error) {
+			logger.warn(`Failed to read trash from ${adapter.label}:`, error);
+			return new TrashBin();
+		}
+	}
+	/**
+	 * Read recorded sessions, carrying over the one being recorded (e.g.
+	 * when switching storage mode); damaged sessions are logged and
+	 * started over
+	 */
+	async loadSessions(adapter) {
+		const current = this.sessions.current;
+		let sessions;
+		try {
+			sessions = new SessionLog(await adapter.loadSessions());
+		} catch (error) {
+			logger.warn(
+				`Failed to read sessions from ${adapter.label}:`,
+				error,
+			);
+			sessions = new SessionLog();
 		}
+		if (current) {
+			sessions.resume(current);
+			this._sessionsDirty = true;
+		}
+		this.sessionsVersion++;
+		return sessions;
+	}
+	/**
+	 * Tell the player that damaged history was set aside on load
+	 */
+	reportRecovery(adapter, recovery) {
+		if (recovery.partial) {
+			// Missing segments leave nothing to keep
+			const kept =
+				recovery.quarantineKey ?
+					` Damaged data was kept in browser storage as "${recovery.quarantineKey}".`
+				:	'';
+			this.setStorageIssue(
+				`Part of the notification history in ${adapter.label} was damaged (${recovery.error}). ${recovery.lostSegments} saved segment(s) could not be read; the rest loaded normally.${kept}`,
+			);
+			return;
+		}
+		let message = `Notification history in ${adapter.label} was damaged (${recovery.error}).`;
+		if (recovery.restored) {
+			const savedAt =
+				recovery.backupSavedAt ?
+					` saved ${new Date(recovery.backupSavedAt).toLocaleString()}`
+				:	'';
+			message += ` Restored ${recovery.count} notifications from the backup${savedAt}.`;
+			// Replace the damaged primary copy with the restored history
+			this.debouncedSave();
+		} else {
+			message += ' No usable backup was found, so history starts empty.';
+		}
+		message += ` The damaged copy was kept in browser storage as "${recovery.quarantineKey}".`;
+		this.setStorageIssue(message);
+	}
+	/**
+	 * Set (or clear with null) the storage problem shown in the panel
+	 */
+	setStorageIssue(message) {
+		this.storageIssue = message ? { message, timestamp: Date.now() } : null;
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-storage-issue', {
+				detail: { issue: this.storageIssue },
+			}),
+		);
 	}
 	/**
 	 * Save notifications to storage (debounced)
@@ -401,149 +1310,155 @@ export class StorageManager {
 	/**
 	 * Save notifications to storage (immediate)
 	 */
-	async save() {
+	async save(adapter = this.adapter) {
+		if (this.readOnlyReason !== null && adapter === this.adapter) {
+			logger.debug(`Save skipped: ${this.readOnlyReason}`);
+			return;
+		}
+		if (this._migrating > 0 && adapter === this.adapter) {
+			// The migration writes the full history itself; try again after
+			this.debouncedSave();
+			return;
+		}
+		// Never write more than the size budget allows
+		await this._pruning;
+		// Take ownership of the pending changes; anything that happens while
+		// the save is in flight is picked up by the next save
+		const dirtyIds = this._dirtyIds;
+		const removedIds = this._removedIds;
+		this._dirtyIds = new Set();
+		this._removedIds = new Set();
+		const aggregatesDirty = this._aggregatesDirty;
+		this._aggregatesDirty = false;
+		const trashDirty = this._trashDirty;
+		this._trashDirty = false;
+		const sessionsDirty = this._sessionsDirty;
+		this._sessionsDirty = false;
 		try {
-			switch (this.settings.mode) {
-				case 'character-save':
-					await this.saveToCharacterStorage();
-					break;
-				case 'local-storage':
-					await this.saveToLocalStorage();
-					break;
-				case 'memory-only':
-					// No-op
-					break;
+			await adapter.save(this.notifications, {
+				dirtyIds,
+				removedIds,
+			});
+			if (aggregatesDirty) {
+				await adapter.saveAggregates(this.aggregates.toJSON());
+			}
+			if (trashDirty) {
+				await adapter.saveTrash(this.trash.toJSON());
+			}
+			if (sessionsDirty) {
+				await adapter.saveSessions(this.sessions.toJSON());
 			}
 			logger.debug(
-				`Saved ${this.notifications.length} notifications to ${this.settings.mode}`,
+				`Saved ${this.notifications.length} notifications to ${adapter.mode}`,
 			);
 		} catch (error) {
 			logger.error('Failed to save notifications:', error);
+			// Keep the changes pending so they are retried on the next save
+			for (const id of dirtyIds) {
+				if (!this._removedIds.has(id)) this._dirtyIds.add(id);
+			}
+			for (const id of removedIds) {
+				if (!this._dirtyIds.has(id)) this._removedIds.add(id);
+			}
+			this._aggregatesDirty ||= aggregatesDirty;
+			this._trashDirty ||= trashDirty;
+			this._sessionsDirty ||= sessionsDirty;
 		}
 	}
 	/**
-	 * Save to character storage
+	 * Prune notifications if necessary based on storage mode limits
 	 */
-	async saveToCharacterStorage() {
-		// Optimize notifications before compression
-		const optimizedNotifications = this.notifications.map((n) =>
-			this.optimizeNotification(n),
-		);
-		const compressed = await CompressionUtil.compress(
-			optimizedNotifications,
-		);
-		const base64 = CompressionUtil.toBase64(compressed.compressed);
-		const storageData = {
-			data: base64,
-			uncompressedSize: compressed.uncompressedSize,
-			version: compressed.version,
-		};
-		this.ctx.characterStorage.setItem(
-			'notifications',
-			JSON.stringify(storageData),
-		);
-		const sizeKB = (compressed.compressed.length / 1024).toFixed(2);
-		logger.debug(`Saved ${sizeKB}KB to character storage`);
+	async pruneIfNeeded() {
+		if (this._pruning) {
+			// One size measurement at a time - overlapping ones would each
+			// drop the same overflow. Re-check once the current one is done.
+			this._prunePending = true;
+			return this._pruning;
+		}
+		const result = this.adapter.prune(this.notifications);
+		// Count and age limits are evaluated synchronously and applied
+		// straight away; size-based limits have to measure bytes first
+		if (typeof result === 'number') {
+			this.dropOldest(result);
+			return;
+		}
+		this._pruning = (async () => {
+			try {
+				this.dropOldest(await result);
+			} catch (error) {
+				logger.error('Failed to measure storage size:', error);
+			} finally {
+				this._pruning = null;
+			}
+			if (this._prunePending) {
+				this._prunePending = false;
+				await this.pruneIfNeeded();
+			}
+		})();
+		return this._pruning;
 	}
 	/**
-	 * Load from localStorage
+	 * Remove the given number of oldest unpinned notifications
 	 */
-	async loadFromLocalStorage() {
-		const key = this.getLocalStorageKey();
-		const data = localStorage.getItem(key);
-		if (!data) {
-			this.notifications = [];
-			return;
-		}
-		try {
-			const storageData = JSON.parse(data);
-			const compressed = CompressionUtil.fromBase64(storageData.data);
-			const compressedStore = {
-				compressed,
-				uncompressedSize: storageData.uncompressedSize,
-				version: storageData.version,
-			};
-			const storedNotifications =
-				await CompressionUtil.decompress(compressedStore);
-			// Reconstruct media URLs from mediaRef
-			this.notifications = storedNotifications.map((n) =>
-				this.reconstructNotification(n),
-			);
-			logger.info(
-				`Loaded ${this.notifications.length} notifications from localStorage`,
-			);
-		} catch (error) {
-			logger.error('Failed to parse localStorage data:', error);
-			this.notifications = [];
+	dropOldest(count) {
+		if (count <= 0) {
+			return; // Within limit
 		}
+		this.discard(StorageAdapters.oldestUnpinned(this.notifications, count));
+		logger.debug(
+			`Pruned ${count} notifications to stay within ${this.adapter.label} limits`,
+		);
 	}
 	/**
-	 * Save to localStorage
+	 * Remove notifications that are past their retention period.
+	 * Runs on load, on a schedule and when retention settings change.
+	 * Returns the number removed.
 	 */
-	async saveToLocalStorage() {
-		const key = this.getLocalStorageKey();
-		// Optimize notifications before compression
-		const optimizedNotifications = this.notifications.map((n) =>
-			this.optimizeNotification(n),
+	applyRetention(now = Date.now()) {
+		const policy = RetentionPolicy.fromSettings(this.settings);
+		const expired = policy.findExpired(this.notifications, now);
+		if (expired.length === 0) {
+			return 0;
+		}
+		this.discard(expired);
+		logger.debug(
+			`Removed ${expired.length} notifications past their retention period`,
 		);
-		const compressed = await CompressionUtil.compress(
-			optimizedNotifications,
+		this.debouncedSave();
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-refresh-panel'),
 		);
-		const base64 = CompressionUtil.toBase64(compressed.compressed);
-		const storageData = {
-			data: base64,
-			uncompressedSize: compressed.uncompressedSize,
-			version: compressed.version,
-		};
-		localStorage.setItem(key, JSON.stringify(storageData));
-		const sizeKB = (compressed.compressed.length / 1024).toFixed(2);
-		logger.debug(`Saved ${sizeKB}KB to localStorage`);
+		return expired.length;
 	}
 	/**
-	 * Load from character storage
+	 * Check retention periodically, so history and trash expire even while
+	 * nothing new is captured
 	 */
-	async loadFromCharacterStorage() {
-		const data = this.ctx.characterStorage.getItem('notifications');
-		if (!data) {
-			this.notifications = [];
-			return;
-		}
-		try {
-			const storageData = JSON.parse(data);
-			const compressed = CompressionUtil.fromBase64(storageData.data);
-			const compressedStore = {
-				compressed,
-				uncompressedSize: storageData.uncompressedSize,
-				version: storageData.version,
-			};
-			const storedNotifications =
-				await CompressionUtil.decompress(compressedStore);
-			// Reconstruct media URLs from mediaRef
-			this.notifications = storedNotifications.map((n) =>
-				this.reconstructNotification(n),
-			);
-			logger.info(
-				`Loaded ${this.notifications.length} notifications from character storage`,
-			);
-		} catch (error) {
-			logger.error('Failed to parse character storage data:', error);
-			this.notifications = [];
-		}
+	startRetentionSchedule() {
+		clearInterval(this._retentionTimer);
+		this._retentionTimer = setInterval(() => {
+			this.applyRetention();
+			this.expireTrash();
+		}, RetentionPolicy.CHECK_INTERVAL_MS);
 	}
 	/**
-	 * Prune notifications if necessary based on storage mode settings
+	 * Remove notifications dropped by limits or retention.
+	 * Every automatic removal goes through here.
 	 */
-	async pruneIfNeeded() {
-		if (this.settings.mode === 'character-save') {
-			if (this.settings.characterSaveType === 'percentage') {
-				await this.pruneToPercentage();
-			} else {
-				await this.pruneToCount(this.settings.characterSaveLineCount);
-			}
-		} else if (this.settings.mode === 'local-storage') {
-			await this.pruneToCount(this.settings.localStorageLineCount);
-		}
-		// memory-only mode doesn't need pruning
+	discard(dropped) {
+		// Keep their totals before the entries themselves are gone
+		this.aggregates.fold(dropped);
+		this._aggregatesDirty = true;
+		const ids = new Set(dropped.map((n) => n.id));
+		ids.forEach((id) => {
+			this._markRemoved(id);
+			this.searchIndex.remove(id);
+		});
+		dropped.forEach((n) => this._untrackGroup(n));
+		this._countRemoved(dropped);
+		this.notifications = this.notifications.filter((n) => !ids.has(n.id));
+		this._invalidateCache();
+		this.notifyUnreadChanged();
 	}
 	/**
 	 * Get localStorage key for current character.
@@ -552,107 +1467,43 @@ export class StorageManager {
 	 * gets its own localStorage bucket regardless of game mode.
 	 */
 	getLocalStorageKey() {
+		return `activity-monitor-notifications-${this.getCharacterKey()}`;
+	}
+	/**
+	 * Get the stable per-character ID used to name browser-side storage
+	 */
+	getCharacterKey() {
 		let charKey = this.ctx.characterStorage.getItem('lsKey');
 		if (!charKey) {
 			// Generate a compact unique ID and persist it for this character.
 			charKey = `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
 			this.ctx.characterStorage.setItem('lsKey', charKey);
 		}
-		return `activity-monitor-notifications-${charKey}`;
-	}
-	/**
-	 * Prune to stay within percentage of max character save size
-	 */
-	async pruneToPercentage() {
-		const maxBytes = Math.floor(
-			this.MAX_CHARACTER_SAVE_BYTES *
-				(this.settings.characterSavePercentage / 100),
-		);
-		// Check current size
-		const compressed = await CompressionUtil.compress(this.notifications);
-		const currentSize = compressed.compressed.length;
-		if (currentSize <= maxBytes) {
-			return; // Within limit
-		}
-		// Remove oldest notifications until within limit
-		let pruneCount = 0;
-		while (this.notifications.length > 0 && currentSize > maxBytes) {
-			this.notifications.pop(); // Remove oldest (at end)
-			pruneCount++;
-			// Only re-compress after removing multiple items to reduce overhead
-			if (pruneCount % 5 === 0 || this.notifications.length === 0) {
-				const testCompressed = await CompressionUtil.compress(
-					this.notifications,
-				);
-				const newSize = testCompressed.compressed.length;
-				if (newSize <= maxBytes) {
-					if (pruneCount > 0) {
-						logger.debug(
-							`Pruned ${pruneCount} notifications to stay within ${this.settings.characterSavePercentage}% limit`,
-						);
-					}
-					return;
-				}
-			}
-		}
-		if (pruneCount > 0) {
-			logger.debug(
-				`Pruned ${pruneCount} notifications to stay within ${this.settings.characterSavePercentage}% limit`,
-			);
-		}
+		return charKey;
 	}
 	/**
-	 * Prune to specific count
+	 * Totals by type and mediaRef per hour or day, covering both the raw
+	 * history and entries already rolled up, e.g. GP earned this month:
+	 *   getAggregates({ start: monthStart }, 'day')
+	 * Hourly totals for rolled-up entries are kept for 30 days.
 	 */
-	async pruneToCount(maxCount) {
-		if (this.notifications.length <= maxCount) {
-			return; // Within limit
-		}
-		const pruneCount = this.notifications.length - maxCount;
-		this.notifications = this.notifications.slice(0, maxCount);
-		logger.debug(
-			`Pruned ${pruneCount} notifications to stay within ${maxCount} limit`,
-		);
+	getAggregates(range = {}, bucket = 'day') {
+		return this.aggregates.query(range, bucket, this.notifications);
 	}
 	/**
 	 * Get storage statistics
 	 */
 	async getStats() {
-		const compressed = await CompressionUtil.compress(this.notifications);
-		const uncompressedSize = compressed.uncompressedSize;
-		const compressedSize = compressed.compressed.length;
+		const stats = await this.adapter.stats(this.notifications);
 		const ratio =
-			uncompressedSize > 0 ?
-				(1 - compressedSize / uncompressedSize) * 100
+			stats.uncompressedSize > 0 ?
+				(1 - stats.compressedSize / stats.uncompressedSize) * 100
 			:	0;
-		// Estimate max count based on current compression ratio
-		const avgCompressedPerNotif =
-			this.notifications.length > 0 ?
-				compressedSize / this.notifications.length
-			:	60; // Default estimate
-		let estimatedMax = 0;
-		if (
-			this.settings.mode === 'character-save' &&
-			this.settings.characterSaveType === 'percentage'
-		) {
-			const maxBytes = Math.floor(
-				this.MAX_CHARACTER_SAVE_BYTES *
-					(this.settings.characterSavePercentage / 100),
-			);
-			estimatedMax = Math.floor(maxBytes / avgCompressedPerNotif);
-		} else if (this.settings.mode === 'character-save') {
-			estimatedMax = this.settings.characterSaveLineCount;
-		} else if (this.settings.mode === 'local-storage') {
-			estimatedMax = this.settings.localStorageLineCount;
-		} else {
-			estimatedMax = 999999; // Memory-only - unlimited
-		}
 		return {
 			count: this.notifications.length,
-			compressedSize,
-			uncompressedSize,
+			unreadCount: this.getUnreadCount(),
+			...stats,
 			compressionRatio: ratio,
-			estimatedMaxCount: estimatedMax,
 		};
 	}
 }
@@ -0,0 +1,321 @@
+/// <reference path="../types/melvor.d.ts" />
+// Stored notification fields, in CSV column order
+const FIELDS = Object.freeze([
+	'id',
+	'timestamp',
+	'type',
+	'message',
+	'quantity',
+	'count',
+	'mediaRef',
+	'customID',
+	'read',
+	'pinned',
+	'occurrences',
+	'level',
+	'fromLevel',
+	'area',
+	'lines',
+	'context',
+]);
+
+// Boolean fields, written as 1 or left empty
+const FLAG_FIELDS = Object.freeze(['read', 'pinned']);
+
+// Array fields, written as JSON
+const ARRAY_FIELDS = Object.freeze(['occurrences', 'lines']);
+
+// Fields written as JSON: the arrays, and the action context object
+const JSON_FIELDS = Object.freeze([...ARRAY_FIELDS, 'context']);
+
+// Numeric fields, parsed back into numbers on import
+const NUMBER_FIELDS = Object.freeze([
+	'timestamp',
+	'quantity',
+	'count',
+	'level',
+	'fromLevel',
+]);
+
+// Extra CSV column with a readable time; ignored on import
+const TIME_COLUMN = 'time';
+
+// Schema version of each NDJSON line and CSV row
+const VERSION_FIELD = 'version';
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Serialization of stored (optimized) notifications for export and import
+ *
+ * Formats:
+ *   json   - { format, version, exportedAt, notifications: [...] }
+ *   ndjson - one notification object per line, with its schema version
+ *   csv    - header row, then one row per notification, with its schema
+ *            version in the last column
+ * Files and entries without a version predate it and are upgraded from
+ * version 1.
+ */
+export class HistoryTransfer {
+	/**
+	 * Serialize notifications into a file
+	 * @returns {{ filename: string, mimeType: string, content: string }}
+	 */
+	static serialize(stored, format) {
+		const date = new Date().toISOString().slice(0, 10);
+		const filename = `activity-monitor-history-${date}.${format}`;
+		switch (format) {
+			case 'json':
+				return {
+					filename,
+					mimeType: 'application/json',
+					content: JSON.stringify(
+						{
+							format: HistoryTransfer.FORMAT,
+							version: SchemaRegistry.currentVersion,
+							exportedAt: Date.now(),
+							notifications: stored,
+						},
+						null,
+						'\t',
+					),
+				};
+			case 'ndjson':
+				return {
+					filename,
+					mimeType: 'application/x-ndjson',
+					content: stored
+						.map((n) =>
+							JSON.stringify({
+								...n,
+								[VERSION_FIELD]: SchemaRegistry.currentVersion,
+							}),
+						)
+						.join('\n'),
+				};
+			case 'csv':
+				return {
+					filename,
+					mimeType: 'text/csv',
+					content: this.toCSV(stored),
+				};
+			default:
+				throw new Error(`Unknown export format: ${format}`);
+		}
+	}
+	/**
+	 * Parse an exported file back into stored notifications at the current
+	 * schema version. The format is taken from the file extension, falling
+	 * back to sniffing the content.
+	 */
+	static parse(text, filename = '') {
+		switch (this.detectFormat(text, filename)) {
+			case 'json': {
+				const file = JSON.parse(text);
+				const entries =
+					Array.isArray(file) ? file
+					: Array.isArray(file.notifications) ? file.notifications
+					: [file];
+				return SchemaRegistry.upgrade(
+					entries,
+					Number.isInteger(file.version) ? file.version : undefined,
+				);
+			}
+			case 'ndjson':
+				return this.upgradeEach(
+					text
+						.split('\n')
+						.filter((line) => line.trim() !== '')
+						.map((line) => JSON.parse(line)),
+				);
+			default:
+				return this.upgradeEach(this.fromCSV(text));
+		}
+	}
+	/**
+	 * Upgrade entries that each carry their own schema version, dropping
+	 * the version field
+	 */
+	static upgradeEach(entries) {
+		return entries.map(
+			({ [VERSION_FIELD]: version, ...entry }) =>
+				SchemaRegistry.upgrade(
+					[entry],
+					Number.isInteger(version) ? version : undefined,
+				)[0],
+		);
+	}
+	static detectFormat(text, filename) {
+		const extension = filename.split('.').pop().toLowerCase();
+		if (HistoryTransfer.FORMATS.includes(extension)) {
+			return extension;
+		}
+		const start = text.trimStart();
+		if (start.startsWith('[')) {
+			return 'json';
+		}
+		if (start.startsWith('{')) {
+			// A whole-file object is JSON; one object per line is NDJSON
+			try {
+				JSON.parse(text);
+				return 'json';
+			} catch {
+				return 'ndjson';
+			}
+		}
+		return 'csv';
+	}
+	/**
+	 * Check an imported entry has what a stored notification needs
+	 */
+	static isValid(entry) {
+		return (
+			typeof entry?.id === 'string' &&
+			entry.id !== '' &&
+			Number.isFinite(entry.timestamp) &&
+			typeof entry.type === 'string' &&
+			typeof entry.message === 'string' &&
+			ARRAY_FIELDS.every(
+				(field) =>
+					entry[field] === undefined || Array.isArray(entry[field]),
+			) &&
+			(entry.lines === undefined ||
+				entry.lines.every(this.isValidLine)) &&
+			(entry.context === undefined ||
+				(typeof entry.context === 'object' &&
+					entry.context !== null &&
+					!Array.isArray(entry.context)))
+		);
+	}
+	/**
+	 * Whether a line item is [mediaRef, quantity, unit?]
+	 */
+	static isValidLine(line) {
+		return (
+			Array.isArray(line) &&
+			line.length >= 2 &&
+			line.length <= 3 &&
+			typeof line[0] === 'string' &&
+			Number.isFinite(line[1]) &&
+			(line[2] === undefined || typeof line[2] === 'string')
+		);
+	}
+	static toCSV(stored) {
+		const rows = stored.map((n) =>
+			[
+				n.id,
+				n.timestamp,
+				new Date(n.timestamp).toISOString(),
+				n.type,
+				n.message,
+				n.quantity ?? 1,
+				n.count ?? 1,
+				n.mediaRef ?? '',
+				n.customID ?? '',
+				n.read ? 1 : '',
+				n.pinned ? 1 : '',
+				n.occurrences ? JSON.stringify(n.occurrences) : '',
+				n.level ?? '',
+				n.fromLevel ?? '',
+				n.area ?? '',
+				n.lines ? JSON.stringify(n.lines) : '',
+				n.context ? JSON.stringify(n.context) : '',
+				SchemaRegistry.currentVersion,
+			]
+				.map((value) => this.escapeCell(value))
+				.join(','),
+		);
+		const header = [...FIELDS, VERSION_FIELD];
+		header.splice(2, 0, TIME_COLUMN);
+		return [header.join(','), ...rows].join('\r\n');
+	}
+	/**
+	 * Quote a CSV cell when needed, and defuse text a spreadsheet would
+	 * run as a formula (e.g. "+5 Oak Logs") with a leading apostrophe
+	 */
+	static escapeCell(value) {
+		let text = String(value);
+		if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+			text = `'${text}`;
+		}
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}
+	static fromCSV(text) {
+		const [header, ...rows] = this.parseCSV(text);
+		if (!header || !header.includes('id')) {
+			throw new Error('CSV file has no header row with an id column');
+		}
+		return rows
+			.filter((cells) => cells.some((cell) => cell !== ''))
+			.map((cells) => {
+				const entry = {};
+				header.forEach((column, i) => {
+					if (cells[i] === undefined || cells[i] === '') {
+						return;
+					}
+					if (column === VERSION_FIELD) {
+						entry[column] = Number(cells[i]);
+						return;
+					}
+					if (!FIELDS.includes(column)) {
+						return;
+					}
+					let value = cells[i];
+					if (/^'[=+\-@\t\r]/.test(value)) {
+						value = value.substring(1);
+					}
+					if (value === '') return;
+					entry[column] =
+						FLAG_FIELDS.includes(column) ? value === '1'
+						: JSON_FIELDS.includes(column) ? JSON.parse(value)
+						: NUMBER_FIELDS.includes(column) ? Number(value)
+						: value;
+				});
+				return entry;
+			});
+	}
+	/**
+	 * Split CSV text into rows of cells (RFC 4180 quoting)
+	 */
+	static parseCSV(text) {
+		const rows = [];
+		let row = [];
+		let cell = '';
+		let quoted = false;
+		for (let i = 0; i < text.length; i++) {
+			const char = text[i];
+			if (quoted) {
+				if (char === '"' && text[i + 1] === '"') {
+					cell += '"';
+					i++;
+				} else if (char === '"') {
+					quoted = false;
+				} else {
+					cell += char;
+				}
+			} else if (char === '"') {
+				quoted = true;
+			} else if (char === ',') {
+				row.push(cell);
+				cell = '';
+			} else if (char === '\n' || char === '\r') {
+				if (char === '\r' && text[i + 1] === '\n') i++;
+				row.push(cell);
+				rows.push(row);
+				row = [];
+				cell = '';
+			} else {
+				cell += char;
+			}
+		}
+		if (cell !== '' || row.length > 0) {
+			row.push(cell);
+			rows.push(row);
+		}
+		return rows;
+	}
+}
+HistoryTransfer.FORMAT = 'activity-monitor-history';
+HistoryTransfer.FORMATS = Object.freeze(['json', 'csv', 'ndjson']);
+//# sourceMappingURL=transfer.js.map
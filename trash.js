@@ -0,0 +1,59 @@
+/// <reference path="../types/melvor.d.ts" />
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Soft-deleted notifications, kept in stored (optimized) form with the
+ * time they were deleted so they can be restored until they expire.
+ *
+ * Stored as [{ ...storedNotification, deletedAt }], most recently deleted
+ * first.
+ */
+export class TrashBin {
+	constructor(entries) {
+		this.entries = Array.isArray(entries) ? entries : [];
+	}
+	/**
+	 * Add stored notifications deleted at the given time
+	 */
+	add(stored, deletedAt = Date.now()) {
+		const ids = new Set(stored.map((n) => n.id));
+		this.entries = [
+			...stored.map((n) => ({ ...n, deletedAt })),
+			...this.entries.filter((n) => !ids.has(n.id)),
+		];
+	}
+	/**
+	 * Remove and return the entries with the given ids, without their
+	 * deletedAt field
+	 */
+	take(ids) {
+		const wanted = new Set(ids);
+		const taken = [];
+		this.entries = this.entries.filter(({ deletedAt, ...stored }) => {
+			if (!wanted.has(stored.id)) return true;
+			taken.push(stored);
+			return false;
+		});
+		return taken;
+	}
+	/**
+	 * Drop entries deleted more than `days` ago (0 = never).
+	 * Returns the number dropped.
+	 */
+	expire(days, now = Date.now()) {
+		if (!(days > 0)) {
+			return 0;
+		}
+		const cutoff = now - days * DAY_MS;
+		const before = this.entries.length;
+		this.entries = this.entries.filter((n) => n.deletedAt >= cutoff);
+		return before - this.entries.length;
+	}
+	get size() {
+		return this.entries.length;
+	}
+	toJSON() {
+		return this.entries;
+	}
+}
+//# sourceMappingURL=trash.js.map
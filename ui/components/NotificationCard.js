@@ -10,23 +10,71 @@ function NotificationCard(props) {
 		media,
 		message,
 		timestampDisplay,
+		unread,
+		pinned,
+		trashed,
+		highlight,
+		occurrences,
+		level,
+		fromLevel,
+		lineItems,
+		contextLabel,
+		offline,
 	} = props;
+	const [expanded, setExpanded] = useState(false);
 	if (!id) {
 		return html``;
 	}
-	// Handle delete
+	// Handle delete - moves to the trash, or deletes for good from it
 	const handleDelete = () => {
 		const storage = globalThis.ActivityMonitorMod?.storage;
 		if (!storage) return;
-		storage.removeNotification(id);
+		if (trashed) {
+			storage.deleteFromTrash([id]);
+		} else {
+			storage.removeNotification(id);
+		}
 		// Dispatch refresh event
 		document.dispatchEvent(
 			new CustomEvent('activity-monitor-refresh-panel'),
 		);
 	};
+	// Handle restore from the trash
+	const handleRestore = () => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		if (!storage) return;
+		storage.restoreFromTrash([id]);
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-refresh-panel'),
+		);
+	};
+	// Handle pin toggle
+	const handleTogglePin = () => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		if (!storage) return;
+		storage.setPinned(id, !pinned);
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-refresh-panel'),
+		);
+	};
+	// Handle mark as read
+	const handleMarkRead = () => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		if (!storage) return;
+		storage.markRead(id);
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-refresh-panel'),
+		);
+	};
 	// Get notification type class
 	const getTypeClass = () => {
 		const t = type.toLowerCase();
+		if (t.endsWith('levelup')) return 'notification-levelup';
+		if (t === 'playerdeath') return 'notification-death';
+		if (t === 'offlineprogress') return 'notification-offline';
+		if (t === 'monsterkill' || t.endsWith('completion'))
+			return 'notification-combat';
+		if (t.startsWith('loot')) return 'notification-item';
 		if (t.includes('error')) return 'notification-error';
 		if (t.includes('success')) return 'notification-success';
 		if (t.includes('info')) return 'notification-info';
@@ -36,8 +84,24 @@ function NotificationCard(props) {
 			return 'notification-currency';
 		return 'notification-default';
 	};
+	// Wrap search matches in the message in <mark>
+	const renderMessage = () => {
+		if (!highlight) {
+			return message;
+		}
+		const parts = [];
+		let last = 0;
+		for (const match of message.matchAll(highlight)) {
+			if (match[0] === '') continue;
+			parts.push(message.substring(last, match.index));
+			parts.push(html`<mark>${match[0]}</mark>`);
+			last = match.index + match[0].length;
+		}
+		parts.push(message.substring(last));
+		return parts;
+	};
 	// Format quantity
-	const formatQuantity = () => {
+	const formatQuantity = (rawQuantity) => {
 		if (rawQuantity === undefined || rawQuantity === null) {
 			return '';
 		}
@@ -49,12 +113,66 @@ function NotificationCard(props) {
 		}
 		return parseFloat(rawQuantity.toFixed(3));
 	};
-	const quantity = formatQuantity();
+	// Drill-down of the individual events in a grouped entry, newest first
+	const renderTimeline = () => {
+		const sign = type.startsWith('Remove') ? '-' : '+';
+		const hidden = (rawCount || 1) - occurrences.length;
+		return html`
+			<ol class="card-timeline">
+				${[...occurrences].reverse().map(
+					([time, delta]) => html`
+						<li>
+							<span class="card-timeline-time"
+								>${new Date(time).toLocaleTimeString()}</span
+							>
+							${delta !== undefined ?
+								html`<span class="card-timeline-delta"
+									>${sign}${formatQuantity(delta)}</span
+								>`
+							:	''}
+						</li>
+					`,
+				)}
+				${hidden > 0 ?
+					html`<li class="card-timeline-more">
+						${hidden} earlier not kept
+					</li>`
+				:	''}
+			</ol>
+		`;
+	};
+	// Line items of the entry - items lost on death, loot collected, an
+	// offline progress summary, ...
+	const renderLines = () => html`
+		<ul class="card-lines">
+			${lineItems.map(
+				(line) => html`
+					<li>
+						${line.media ?
+							html`<img src="${line.media}" alt="" />`
+						:	''}
+						<span class="card-line-name">${line.name}</span>
+						<span
+							class="card-line-quantity ${line.quantity < 0 ? 'negative' : ''}"
+							>${line.quantity < 0 ? '-' : '+'}${formatQuantity(
+								Math.abs(line.quantity),
+							)}${line.unit ? ` ${line.unit}` : ''}</span
+						>
+					</li>
+				`,
+			)}
+		</ul>
+	`;
+	const quantity = formatQuantity(rawQuantity);
+	const hasTimeline = occurrences?.length > 0;
+	const hasLines = lineItems?.length > 0;
 	const typeClass = getTypeClass();
 	const timestamp = timestampDisplay;
 	const count = rawCount || 1;
 	return html`
-		<div class="activity-monitor-card ${typeClass}">
+		<div
+			class="activity-monitor-card ${typeClass} ${unread ? 'unread' : ''} ${pinned ? 'pinned' : ''}"
+		>
 			<div class="card-content">
 				<!-- Count Badge -->
 				${count > 1 ?
@@ -67,7 +185,7 @@ function NotificationCard(props) {
 
 				<!-- Content -->
 				<div class="card-body">
-					<div class="card-message">${message}</div>
+					<div class="card-message">${renderMessage()}</div>
 					<div class="card-meta">
 						<span class="card-type">${type}</span>
 						${quantity ?
@@ -75,21 +193,71 @@ function NotificationCard(props) {
 								>${quantity}${count > 1 ? ' total' : ''}</span
 							>`
 						:	''}
+						${level != null ?
+							html`<span class="card-level"
+								>Level ${fromLevel} → ${level}</span
+							>`
+						:	''}
+						${contextLabel ?
+							html`<span class="card-context" title="Happened during"
+								>${contextLabel}</span
+							>`
+						:	''}
+						${offline ?
+							html`<span class="card-offline">offline</span>`
+						:	''}
 						<span class="card-timestamp">${timestamp}</span>
 					</div>
 				</div>
 
 				<!-- Actions -->
 				<div class="card-actions">
+					${hasTimeline || hasLines ?
+						html`<button
+							class="card-action-btn timeline-btn ${expanded ? 'active' : ''}"
+							@click=${() => setExpanded(!expanded)}
+							title=${expanded ? 'Hide details' : 'Show details'}
+						>
+							<i class="fa fa-stream"></i>
+						</button>`
+					:	''}
+					${trashed ?
+						html`<button
+							class="card-action-btn restore-btn"
+							@click=${handleRestore}
+							title="Restore notification"
+						>
+							<i class="fa fa-undo"></i>
+						</button>`
+					:	html`
+							${unread ?
+								html`<button
+									class="card-action-btn read-btn"
+									@click=${handleMarkRead}
+									title="Mark as read"
+								>
+									<i class="fa fa-check"></i>
+								</button>`
+							:	''}
+							<button
+								class="card-action-btn pin-btn ${pinned ? 'active' : ''}"
+								@click=${handleTogglePin}
+								title=${pinned ? 'Unpin notification' : 'Pin notification'}
+							>
+								<i class="fa fa-thumbtack"></i>
+							</button>
+						`}
 					<button
 						class="card-action-btn delete-btn"
 						@click=${handleDelete}
-						title="Delete notification"
+						title=${trashed ? 'Delete forever' : 'Delete notification'}
 					>
 						<i class="fa fa-trash"></i>
 					</button>
 				</div>
 			</div>
+			${hasLines && expanded ? renderLines() : ''}
+			${hasTimeline && expanded ? renderTimeline() : ''}
 		</div>
 	`;
 }
@@ -71,9 +71,38 @@ const formatTimestamp = (timestamp) => {
 		return date.toLocaleString();
 	}
 };
+// Session length as "2h 15m", "40m" or "30s"
+const formatDuration = (ms) => {
+	const minutes = Math.floor(ms / 60000);
+	if (minutes < 1) return `${Math.floor(ms / 1000)}s`;
+	if (minutes < 60) return `${minutes}m`;
+	return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+const formatSession = (session) =>
+	`${new Date(session.start).toLocaleString()} (${formatDuration(session.end - session.start)}${session.current ? ', current' : ''})`;
+// Export menu rows (what to export) and buttons (file format)
+const EXPORT_SCOPES = [
+	['all', 'All history'],
+	['view', 'Current view'],
+];
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+// How long the undo offer stays up after a delete
+const UNDO_TIMEOUT_MS = 10000;
 const toDisplayItem = (n) => ({
 	...n,
 	timestampStr: formatTimestamp(n.timestamp),
+	unread: globalThis.ActivityMonitorMod?.storage?.isUnread(n) ?? false,
+	// Described copies of the stored `lines`, which stay as stored so the
+	// item can still be exported
+	lineItems: n.lines?.map(([ref, quantity, unit]) => ({
+		ref,
+		quantity,
+		unit,
+		...globalThis.ActivityMonitorMod?.storage?.describeRef(ref),
+	})),
+	contextLabel:
+		n.context &&
+		globalThis.ActivityMonitorMod?.storage?.describeContext(n.context),
 });
 function NotificationPanel() {
 	const [notificationDisplayItems, setNotificationDisplayItems] = useState(
@@ -81,7 +110,20 @@ function NotificationPanel() {
 	);
 	const [filter, setFilter] = useState('all');
 	const [searchTerm, setSearchTerm] = useState('');
+	// 'all', 'last' (since the previous session ended) or a session id
+	const [session, setSession] = useState('all');
+	// 'all', 'offline' (offline catch-up) or a context action
+	const [source, setSource] = useState('all');
 	const [notificationTypes, setNotificationTypes] = useState([]);
+	const [storageIssue, setStorageIssue] = useState(null);
+	// Storage mode change question waiting for an answer
+	const [modePrompt, setModePrompt] = useState(null);
+	const [showExportMenu, setShowExportMenu] = useState(false);
+	const [transferStatus, setTransferStatus] = useState(null);
+	const [showTrash, setShowTrash] = useState(false);
+	const [trashItems, setTrashItems] = useState([]);
+	// Undo offer after a delete or clear-all: { message, ids }
+	const [undoToast, setUndoToast] = useState(null);
 	// Load initial notifications
 	useEffect(() => {
 		const storage = globalThis.ActivityMonitorMod?.storage;
@@ -90,6 +132,18 @@ function NotificationPanel() {
 			setNotificationDisplayItems(all.map(toDisplayItem));
 		}
 	}, []);
+	// Ask how to carry history over when the storage mode changes
+	useEffect(() => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		setModePrompt(storage?.modePrompt ?? null);
+		const handlePrompt = ({ detail: { prompt } }) => setModePrompt(prompt);
+		document.addEventListener('activity-monitor-mode-prompt', handlePrompt);
+		return () =>
+			document.removeEventListener(
+				'activity-monitor-mode-prompt',
+				handlePrompt,
+			);
+	}, []);
 	// Listen for notification events (added, updated, refresh)
 	useEffect(() => {
 		// Collect same-tick events and flush them in one state update
@@ -104,6 +158,7 @@ function NotificationPanel() {
 				setNotificationDisplayItems(
 					storage.getNotifications().map(toDisplayItem),
 				);
+				setTrashItems(storage.getTrash().map(toDisplayItem));
 			}
 		};
 		const flushSurgical = () => {
@@ -190,6 +245,67 @@ function NotificationPanel() {
 			);
 		};
 	}, []);
+	// Show problems with stored history (damaged data, newer schema)
+	useEffect(() => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		setStorageIssue(storage?.storageIssue ?? null);
+		const handleIssue = ({ detail: { issue } }) => setStorageIssue(issue);
+		document.addEventListener(
+			'activity-monitor-storage-issue',
+			handleIssue,
+		);
+		return () =>
+			document.removeEventListener(
+				'activity-monitor-storage-issue',
+				handleIssue,
+			);
+	}, []);
+	// Offer to undo deletes; the offer lapses after UNDO_TIMEOUT_MS
+	useEffect(() => {
+		const handleTrashed = ({ detail: { ids } }) => {
+			setUndoToast({
+				message:
+					ids.length === 1 ?
+						'Notification moved to trash.'
+					:	`${ids.length} notifications moved to trash.`,
+				ids,
+			});
+		};
+		document.addEventListener('activity-monitor-trashed', handleTrashed);
+		return () =>
+			document.removeEventListener(
+				'activity-monitor-trashed',
+				handleTrashed,
+			);
+	}, []);
+	useEffect(() => {
+		if (!undoToast) return;
+		const timer = setTimeout(() => setUndoToast(null), UNDO_TIMEOUT_MS);
+		return () => clearTimeout(timer);
+	}, [undoToast]);
+	// Bring the oldest unread notification into view when the panel opens
+	useEffect(() => {
+		const handleOpened = () => {
+			const settings = globalThis.ActivityMonitorMod?.settings;
+			if (settings?.getSetting('scrollToUnread') === false) return;
+			// Wait a frame so the now-visible list has been laid out
+			requestAnimationFrame(() => {
+				const unread = document.querySelectorAll(
+					'#activity-monitor-panel .activity-monitor-card.unread',
+				);
+				unread[unread.length - 1]?.scrollIntoView({ block: 'center' });
+			});
+		};
+		document.addEventListener(
+			'activity-monitor-panel-opened',
+			handleOpened,
+		);
+		return () =>
+			document.removeEventListener(
+				'activity-monitor-panel-opened',
+				handleOpened,
+			);
+	}, []);
 	// Handle ESC key to close modal
 	useEffect(() => {
 		const handleEsc = (e) => {
@@ -224,19 +340,79 @@ function NotificationPanel() {
 		}, 1000);
 		return () => clearInterval(timer);
 	}, []);
-	// Filter display items (grouping happens at storage time)
-	const filteredItems = notificationDisplayItems.filter((item) => {
-		// Filter by type
-		if (filter !== 'all' && item.type !== filter) return false;
-		// Filter by search term
-		if (
-			searchTerm &&
-			!item.message.toLowerCase().includes(searchTerm.toLowerCase())
-		) {
-			return false;
-		}
-		return true;
-	});
+	// Filter display items (grouping happens at storage time). The query is
+	// rebuilt only when the filters change, and the items are only scanned
+	// again when they or the query change.
+	const sourceItems = showTrash ? trashItems : notificationDisplayItems;
+	// Session list, re-read only when storage reports it changed
+	const sessionsVersion =
+		globalThis.ActivityMonitorMod?.storage?.sessionsVersion;
+	const sessions = useMemo(
+		() => globalThis.ActivityMonitorMod?.storage?.getSessions() ?? [],
+		[sessionsVersion],
+	);
+	// Actions the notifications came from, re-read only when one appears
+	// or goes away
+	const actionsVersion =
+		globalThis.ActivityMonitorMod?.storage?.actionsVersion;
+	const sources = useMemo(
+		() => globalThis.ActivityMonitorMod?.storage?.getActionSources() ?? [],
+		[actionsVersion],
+	);
+	const query = useMemo(() => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		return new NotificationQuery(
+			{
+				types: filter === 'all' ? undefined : filter,
+				search: searchTerm || undefined,
+				...(session === 'all' ? {} : storage?.getSessionRange(session)),
+				...(source === 'all' ? {}
+				: source === 'offline' ? { offline: true }
+				: { action: source }),
+			},
+			storage?.searchIndex,
+		);
+	}, [filter, searchTerm, session, source]);
+	// Current time for after:/before: searches, moved on every second
+	// while one is active
+	const [searchNow, setSearchNow] = useState(Date.now());
+	useEffect(() => {
+		if (!query.isTimed) return;
+		setSearchNow(Date.now());
+		const timer = setInterval(() => setSearchNow(Date.now()), 1000);
+		return () => clearInterval(timer);
+	}, [query]);
+	const filteredItems = useMemo(
+		() => query.filter(sourceItems, searchNow),
+		[query, sourceItems, searchNow],
+	);
+	// Pinned notifications get their own section above the rest
+	const pinnedItems =
+		showTrash ? [] : filteredItems.filter((item) => item.pinned);
+	const unpinnedItems =
+		showTrash ? filteredItems : filteredItems.filter((item) => !item.pinned);
+	const renderCard = (item) => html`
+		<activity-monitor-card
+			key=${item.id}
+			.id=${item.id}
+			.type=${item.type}
+			.quantity=${item.quantity}
+			.count=${item.count}
+			.media=${item.media}
+			.message=${item.message}
+			.timestampDisplay=${item.timestampStr}
+			.unread=${item.unread}
+			.pinned=${item.pinned}
+			.trashed=${showTrash}
+			.highlight=${query.highlight}
+			.occurrences=${item.occurrences}
+			.level=${item.level}
+			.fromLevel=${item.fromLevel}
+			.lineItems=${item.lineItems}
+			.contextLabel=${item.contextLabel}
+			.offline=${item.context?.offline}
+		></activity-monitor-card>
+	`;
 	// Handle close
 	const handleClose = () => {
 		const ui = globalThis.ActivityMonitorMod?.ui;
@@ -251,21 +427,116 @@ function NotificationPanel() {
 			handleClose();
 		}
 	};
-	// Handle clear all
+	// Handle clear all - everything goes to the trash, with an undo offer
 	const handleClearAll = () => {
 		const storage = globalThis.ActivityMonitorMod?.storage;
 		if (storage) {
-			if (confirm('Are you sure you want to clear all notifications?')) {
-				storage.clearAll();
-				setNotificationDisplayItems([]);
-			}
+			storage.clearAll();
+			setNotificationDisplayItems([]);
+			setTrashItems(storage.getTrash().map(toDisplayItem));
 		}
 	};
+	// Handle undo of the last delete or clear-all
+	const handleUndo = () => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		if (storage && undoToast) {
+			storage.restoreFromTrash(undoToast.ids);
+			document.dispatchEvent(
+				new CustomEvent('activity-monitor-refresh-panel'),
+			);
+		}
+		setUndoToast(null);
+	};
+	// Switch between the history and the trash
+	const handleToggleTrash = () => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		if (storage && !showTrash) {
+			setTrashItems(storage.getTrash().map(toDisplayItem));
+		}
+		setShowTrash(!showTrash);
+	};
+	// Handle restore all from the trash
+	const handleRestoreAll = () => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		if (!storage) return;
+		storage.restoreFromTrash(trashItems.map((item) => item.id));
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-refresh-panel'),
+		);
+	};
+	// Handle empty trash - the one delete that cannot be undone
+	const handleEmptyTrash = () => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		if (!storage) return;
+		if (
+			confirm(
+				`Permanently delete ${trashItems.length} notifications in the trash?`,
+			)
+		) {
+			storage.emptyTrash();
+			setTrashItems([]);
+		}
+	};
+	// Handle mark all read
+	const handleMarkAllRead = () => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		if (!storage) return;
+		storage.markAllRead();
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-refresh-panel'),
+		);
+	};
+	// Download the full history or the current filtered view
+	const handleExport = (format, scope) => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		setShowExportMenu(false);
+		if (!storage) return;
+		const file = storage.exportHistory(
+			format,
+			scope === 'view' ? filteredItems : undefined,
+		);
+		const url = URL.createObjectURL(
+			new Blob([file.content], { type: file.mimeType }),
+		);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = file.filename;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+	};
+	// Merge a previously exported file into the history
+	const handleImport = async (e) => {
+		const storage = globalThis.ActivityMonitorMod?.storage;
+		const file = e.target.files[0];
+		// Reset so picking the same file again still fires change
+		e.target.value = '';
+		if (!storage || !file) return;
+		try {
+			const { added, duplicates, invalid } = storage.importHistory(
+				await file.text(),
+				file.name,
+			);
+			let status = `Imported ${added} notifications from ${file.name}.`;
+			if (duplicates > 0) status += ` ${duplicates} were already here.`;
+			if (invalid > 0)
+				status += ` ${invalid} were not valid and skipped.`;
+			setTransferStatus(status);
+		} catch (error) {
+			setTransferStatus(
+				`Could not import ${file.name}: ${error.message}`,
+			);
+		}
+	};
+	// Handle dismissing the storage problem banner
+	const handleDismissIssue = () => {
+		globalThis.ActivityMonitorMod?.storage?.setStorageIssue(null);
+	};
 	// Generate header title with counts
+	const title = showTrash ? 'Trash' : 'Activity Monitor';
 	const headerTitle =
-		notificationDisplayItems.length === filteredItems.length ?
-			`Activity Monitor (${notificationDisplayItems.length})`
-		:	`Activity Monitor (${filteredItems.length}/${notificationDisplayItems.length})`;
+		sourceItems.length === filteredItems.length ?
+			`${title} (${sourceItems.length})`
+		:	`${title} (${filteredItems.length}/${sourceItems.length})`;
 	return html`
 		<div
 			class="activity-monitor-panel-overlay"
@@ -276,10 +547,69 @@ function NotificationPanel() {
 				<div class="activity-monitor-header">
 					<h3>${headerTitle}</h3>
 					<div class="activity-monitor-header-actions">
+						<div class="activity-monitor-export">
+							<button
+								class="btn btn-sm btn-secondary"
+								@click=${() => setShowExportMenu(!showExportMenu)}
+								title="Export history"
+							>
+								<i class="fa fa-download"></i>
+							</button>
+							${showExportMenu ?
+								html`
+									<div class="activity-monitor-export-menu">
+										${EXPORT_SCOPES.map(
+											([scope, label]) => html`
+												<div class="export-row">
+													<span>${label}</span>
+													${EXPORT_FORMATS.map(
+														(format) => html`
+															<button
+																class="btn btn-sm btn-secondary"
+																@click=${() =>
+																	handleExport(format, scope)}
+															>
+																${format.toUpperCase()}
+															</button>
+														`,
+													)}
+												</div>
+											`,
+										)}
+									</div>
+								`
+							:	''}
+						</div>
+						<label
+							class="btn btn-sm btn-secondary"
+							title="Import history (JSON, CSV or NDJSON)"
+						>
+							<i class="fa fa-upload"></i>
+							<input
+								type="file"
+								accept=".json,.csv,.ndjson"
+								hidden
+								@change=${handleImport}
+							/>
+						</label>
+						<button
+							class="btn btn-sm btn-secondary"
+							@click=${handleMarkAllRead}
+							title="Mark all as read"
+						>
+							<i class="fa fa-check-double"></i>
+						</button>
+						<button
+							class="btn btn-sm ${showTrash ? 'btn-primary' : 'btn-secondary'}"
+							@click=${handleToggleTrash}
+							title=${showTrash ? 'Back to notifications' : 'Show trash'}
+						>
+							<i class="fa fa-trash-restore"></i>
+						</button>
 						<button
 							class="btn btn-sm btn-danger"
 							@click=${handleClearAll}
-							title="Clear all notifications"
+							title="Move all notifications to trash"
 						>
 							<i class="fa fa-trash"></i>
 						</button>
@@ -293,6 +623,95 @@ function NotificationPanel() {
 					</div>
 				</div>
 
+				<!-- Storage problems -->
+				${storageIssue ?
+					html`
+						<div class="activity-monitor-banner">
+							<i class="fa fa-exclamation-triangle"></i>
+							<span>${storageIssue.message}</span>
+							<button
+								class="card-action-btn"
+								@click=${handleDismissIssue}
+								title="Dismiss"
+							>
+								<i class="fa fa-times"></i>
+							</button>
+						</div>
+					`
+				:	''}
+
+				<!-- Storage mode change -->
+				${modePrompt ?
+					html`
+						<div
+							class="activity-monitor-banner activity-monitor-banner-info"
+						>
+							<i class="fa fa-database"></i>
+							<span>${modePrompt.message}</span>
+							${modePrompt.choices.map(
+								(choice) => html`
+									<button
+										class="btn btn-sm ${choice.id === 'separate' ? 'btn-secondary' : 'btn-primary'}"
+										@click=${() =>
+											globalThis.ActivityMonitorMod?.storage?.answerModePrompt(
+												choice.id,
+											)}
+									>
+										${choice.label}
+									</button>
+								`,
+							)}
+						</div>
+					`
+				:	''}
+
+				<!-- Import result -->
+				${transferStatus ?
+					html`
+						<div
+							class="activity-monitor-banner activity-monitor-banner-info"
+						>
+							<i class="fa fa-info-circle"></i>
+							<span>${transferStatus}</span>
+							<button
+								class="card-action-btn"
+								@click=${() => setTransferStatus(null)}
+								title="Dismiss"
+							>
+								<i class="fa fa-times"></i>
+							</button>
+						</div>
+					`
+				:	''}
+
+				<!-- Trash actions -->
+				${showTrash ?
+					html`
+						<div class="activity-monitor-trash-bar">
+							<span>
+								Deleted notifications are kept for
+								${globalThis.ActivityMonitorMod?.storage?.settings
+									.trashRetentionDays}
+								days.
+							</span>
+							<button
+								class="btn btn-sm btn-secondary"
+								@click=${handleRestoreAll}
+								?disabled=${trashItems.length === 0}
+							>
+								<i class="fa fa-undo"></i> Restore all
+							</button>
+							<button
+								class="btn btn-sm btn-danger"
+								@click=${handleEmptyTrash}
+								?disabled=${trashItems.length === 0}
+							>
+								<i class="fa fa-times"></i> Empty trash
+							</button>
+						</div>
+					`
+				:	''}
+
 				<!-- Filters -->
 				<div class="activity-monitor-filters">
 					<div class="filter-group">
@@ -311,12 +730,49 @@ function NotificationPanel() {
 						</select>
 					</div>
 
+					<div class="filter-group">
+						<label>Session:</label>
+						<select
+							class="form-control form-control-sm"
+							.value=${session}
+							@change=${(e) => setSession(e.target.value)}
+						>
+							<option value="all">All Sessions</option>
+							<option value="last">Since Last Session</option>
+							${sessions.map(
+								(s) => html`
+									<option value=${s.id} title=${s.character ?? ''}>
+										${formatSession(s)}
+									</option>
+								`,
+							)}
+						</select>
+					</div>
+
+					<div class="filter-group">
+						<label>Source:</label>
+						<select
+							class="form-control form-control-sm"
+							.value=${source}
+							@change=${(e) => setSource(e.target.value)}
+						>
+							<option value="all">All Sources</option>
+							<option value="offline">Offline Progress</option>
+							${sources.map(
+								(s) => html`
+									<option value=${s.action}>${s.name}</option>
+								`,
+							)}
+						</select>
+					</div>
+
 					<div class="filter-group">
 						<label>Search:</label>
 						<input
 							type="text"
 							class="form-control form-control-sm"
-							placeholder="Search notifications..."
+							placeholder="Search notifications, e.g. oak type:AddItem qty:>100"
+							title="Words match by prefix and tolerate typos. Filters: type:, item:, skill:, currency:, mastery:, qty:>N, after:2h, before:1d"
 							.value=${searchTerm}
 							@input=${(e) => setSearchTerm(e.target.value)}
 						/>
@@ -332,21 +788,47 @@ function NotificationPanel() {
 								<p>No notifications to display</p>
 							</div>
 						`
-					:	filteredItems.map(
-							(item) => html`
-								<activity-monitor-card
-									key=${item.id}
-									.id=${item.id}
-									.type=${item.type}
-									.quantity=${item.quantity}
-									.count=${item.count}
-									.media=${item.media}
-									.message=${item.message}
-									.timestampDisplay=${item.timestampStr}
-								></activity-monitor-card>
-							`,
-						)}
+					:	html`
+							${pinnedItems.length > 0 ?
+								html`
+									<div class="activity-monitor-section-title">
+										<i class="fa fa-thumbtack"></i> Pinned
+									</div>
+									${pinnedItems.map(renderCard)}
+									${unpinnedItems.length > 0 ?
+										html`<div
+											class="activity-monitor-section-title"
+										>
+											Recent
+										</div>`
+									:	''}
+								`
+							:	''}
+							${unpinnedItems.map(renderCard)}
+						`}
 				</div>
+
+				<!-- Undo toast -->
+				${undoToast ?
+					html`
+						<div class="activity-monitor-toast">
+							<span>${undoToast.message}</span>
+							<button
+								class="btn btn-sm btn-secondary"
+								@click=${handleUndo}
+							>
+								<i class="fa fa-undo"></i> Undo
+							</button>
+							<button
+								class="card-action-btn"
+								@click=${() => setUndoToast(null)}
+								title="Dismiss"
+							>
+								<i class="fa fa-times"></i>
+							</button>
+						</div>
+					`
+				:	''}
 			</div>
 		</div>
 	`;
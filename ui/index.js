@@ -2,6 +2,8 @@
 let uiState = {
 	panelVisible: false,
 };
+// Unread count badges on the minibar and sidebar entries
+const unreadBadges = [];
 /**
  * Initialize UI system
  */
@@ -48,6 +50,8 @@ function patchMinibar(ctx) {
 				},
 			},
 		);
+		minibarItem.element.classList.add('activity-monitor-minibar');
+		minibarItem.element.append(createUnreadBadge('minibar'));
 		game.minibar.minibarElement.prepend(minibarItem.element);
 		logger.info('Minibar icon added');
 		return result;
@@ -65,6 +69,7 @@ function addSidebarIntegration(ctx) {
 			modsCategory.item('notifications', {
 				name: 'Activity Monitor',
 				icon: ctx.getResourceUrl('assets/icon.png'),
+				aside: createUnreadBadge('sidebar'),
 				onClick: () => {
 					togglePanel();
 				},
@@ -73,6 +78,27 @@ function addSidebarIntegration(ctx) {
 		}
 	});
 }
+/**
+ * Create a badge that shows the unread count, hidden while it is zero
+ */
+function createUnreadBadge(placement) {
+	const badge = document.createElement('span');
+	badge.className = `notification-badge notification-badge-${placement}`;
+	unreadBadges.push(badge);
+	updateUnreadBadges(
+		globalThis.ActivityMonitorMod?.storage?.getUnreadCount() ?? 0,
+	);
+	return badge;
+}
+/**
+ * Show the unread count on every badge
+ */
+function updateUnreadBadges(count) {
+	for (const badge of unreadBadges) {
+		badge.textContent = count > 99 ? '99+' : String(count);
+		badge.style.display = count > 0 ? '' : 'none';
+	}
+}
 /**
  * Create notification panel (initially hidden)
  */
@@ -90,8 +116,21 @@ export function togglePanel() {
 	if (!panel) return;
 	uiState.panelVisible = !uiState.panelVisible;
 	panel.style.display = uiState.panelVisible ? 'block' : 'none';
+	if (uiState.panelVisible) {
+		document.dispatchEvent(
+			new CustomEvent('activity-monitor-panel-opened'),
+		);
+	}
 	logger.debug(`Panel ${uiState.panelVisible ? 'opened' : 'closed'}`);
 }
+/**
+ * Open panel
+ */
+export function openPanel() {
+	if (!uiState.panelVisible) {
+		togglePanel();
+	}
+}
 /**
  * Close panel
  */
@@ -124,6 +163,9 @@ function setupNotificationListeners() {
 		'activity-monitor-notification-updated',
 		dispatchRefreshIfVisible,
 	);
+	document.addEventListener('activity-monitor-unread-changed', (event) => {
+		updateUnreadBadges(event.detail.count);
+	});
 }
 /**
  * Get current UI state
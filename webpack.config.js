@@ -9,8 +9,26 @@ module.exports = {
 		config: './config.js',
 		logger: './logger.js',
 		compression: './compression.js',
+		// Module worker, bundled with the compression and codec code it runs
+		'compression-worker': './compression-worker.js',
+		codec: './codec.js',
+		idb: './idb.js',
+		schema: './schema.js',
+		retention: './retention.js',
+		aggregates: './aggregates.js',
+		trash: './trash.js',
+		query: './query.js',
+		'search-index': './search-index.js',
+		grouping: './grouping.js',
+		sessions: './sessions.js',
+		transfer: './transfer.js',
 		settings: './settings.js',
+		'action-context': './action-context.js',
+		'offline-summary': './offline-summary.js',
 		capture: './capture.js',
+		ledger: './ledger.js',
+		'combat-capture': './combat-capture.js',
+		'storage-adapters': './storage-adapters.js',
 		storage: './storage.js',
 		'ui/index': './ui/index.js',
 		'ui/components/NotificationCard': './ui/components/NotificationCard.js',